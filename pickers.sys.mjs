@@ -1,71 +1,81 @@
-import * as UC_API from 'chrome://userchromejs/content/uc_api.sys.mjs'
+import { ShortcutUtils } from 'resource://gre/modules/ShortcutUtils.sys.mjs'
 
-import { Palette } from './pickers/lib.sys.mjs'
+import { Config } from './pickers/config.sys.mjs'
+/** @import { Palette } from './pickers/lib.sys.mjs' */
+/** @import { PickerModule } from './pickers/loader.sys.mjs' */
+import { loadPickerModules } from './pickers/loader.sys.mjs'
+import { macroEntries } from './pickers/macros.sys.mjs'
+import { openWhereStage } from './pickers/openWhere.sys.mjs'
+import { PaletteRegistry } from './pickers/registry.sys.mjs'
+import { unifiedRegistration } from './pickers/unified.sys.mjs'
+import { userCommandEntry } from './pickers/userCommands.sys.mjs'
 
 /**
- * @typedef {Object} OverrideSettingsEntry
- * @property {string} title
- * @property {boolean} enabled
+ * Palette options with the user's settings (see `pickers/config.sys.mjs`) applied:
+ * `palettes[<palette id>]`, the key bindings in `keymaps["*"]` and `keymaps[<palette id>]`,
+ * and `hotkeys[<palette id>]`, which replaces the palette's hotkey, or removes it if `null`.
+ * @param {string} id
+ * @param {Palette.Options} opts
+ * @returns {Palette.Options}
  */
+function withUserSettings(id, opts) {
+    const { palettes, keymaps, hotkeys } = Config.current
+    const hotkey = Object.hasOwn(hotkeys, id) ? (hotkeys[id] ?? undefined) : opts.hotkey
+    return { ...opts, ...palettes[id], hotkey, keymap: { ...opts.keymap, ...keymaps['*'], ...keymaps[id] } }
+}
 
-// remap names and disable certain built in commands
-/** @type {Object.<string, OverrideSettingsEntry>} */
-const overrideSettings = (function () {
-    try {
-        const fsResult = UC_API.FileSystem.readFileSync('commandPaletteConfig.json')
-        if (fsResult?.isContent?.()) {
-            return JSON.parse(fsResult.content(false))
-        } else {
-            throw new Error('could not read file at <resources>/commandPaletteConfig.json')
-        }
-    } catch (e) {
-        console.error('Failed to load or parse launch.json', e)
-    }
-})()
-
-/** @type {Palette.PopulateFunc} */
+/**
+ * Every command of the window, renamed or hidden per the config's `commands`,
+ * then the config's `userCommands` and macros, then its `aliases` for any of them.
+ * Commands show their shortcut, and are disabled while their `<command>` is.
+ * @type {Palette.PopulateFunc}
+ */
 function commandPalettePopulateFunc(p) {
-    const commandElements = getCommands(p.window)
-
-    const cmds = commandElements.map((c) => {
-        const hasOverride = Object.prototype.hasOwnProperty.call(overrideSettings, c.id)
-        if (hasOverride) {
-            const { title, enabled } = overrideSettings[c.id]
-            // console.log(c.id, title, enabled)
-            if (!enabled) {
-                return false // Return an empty array to exclude this command
-            }
-            return {
-                // Return an array containing the command object
-                id: c.id,
-                title: title,
-                run: () => {
-                    c.doCommand()
-                },
-            }
-        } else {
-            const getTitle = (/** @type {string} */ d) => {
-                if (d.substring(0, 4) === 'cmd_') {
-                    return d.slice(4)
-                }
-                return d
-            }
+    const { commands: overrides, aliases, userCommands } = Config.current
+    const labels = getCommandLabels(p.window)
+    /** @param {string} id */
+    const getTitle = (id) => labels.get(id) ?? (id.startsWith('cmd_') ? id.slice(4) : id)
 
-            // const title = c.id.slice(4)
-            const title = getTitle(c.id)
-            return {
-                // Return an array containing the command object
-                id: c.id,
-                title: title,
-                run: () => {
-                    c.doCommand()
-                },
-            }
-        }
+    /** @type {Map<string, Palette.Entry>} */
+    const cmds = new Map()
+    getCommands(p.window).forEach((c) => {
+        const override = Object.hasOwn(overrides, c.id) ? overrides[c.id] : {}
+        if (override.enabled === false) return
+        const disabled = c.getAttribute('disabled') === 'true'
+        const shortcut = getShortcut(p.window, c.id)
+        cmds.set(c.id, {
+            id: c.id,
+            title: override.title ?? getTitle(c.id),
+            subtitle: [shortcut, disabled && 'disabled'].filter(Boolean).join(' · ') || undefined,
+            disabled,
+            run: () => {
+                c.doCommand()
+            },
+        })
+    })
+    Object.entries(userCommands).forEach(([id, command]) => {
+        const entry = userCommandEntry(id, command)
+        cmds.set(String(entry.id), entry)
     })
+    macroEntries().forEach((entry) => cmds.set(String(entry.id), entry))
 
-    return cmds.filter((arr) => arr !== false)
+    /** @type {Palette.Entry[]} */
+    const aliasEntries = []
+    Object.entries(aliases).forEach(([alias, id]) => {
+        const cmd = cmds.get(id)
+        if (!cmd) return // not in this window, or hidden
+        aliasEntries.push({
+            id: `alias:${alias}`,
+            title: alias,
+            subtitle: cmd.title,
+            disabled: cmd.disabled,
+            run: cmd.run,
+            preview: (_entry, container, signal) => (cmd.preview ?? commandPalettePreview)(cmd, container, signal),
+        })
+    })
+    return [...cmds.values(), ...aliasEntries]
 }
+
 /**
  * @param {Window} win
  * @returns {XULElement[]}
@@ -81,6 +91,52 @@ function getCommands(win) {
         .flat()
 }
 
+/**
+ * Localized labels of commands, from the menu items and toolbar buttons that use them.
+ * A command's own `label` wins, then a menu item's, then a toolbar button's.
+ * @param {Window} win
+ * @returns {Map<string, string>} by command id
+ */
+function getCommandLabels(win) {
+    /** @type {Map<string, string>} */
+    const labels = new Map()
+    if (!win.document) return labels
+    for (const selector of ['command[label]', 'menuitem[command][label]', 'toolbarbutton[command][label]']) {
+        win.document.querySelectorAll(selector).forEach((el) => {
+            const id = el.localName === 'command' ? el.id : el.getAttribute('command')
+            const label = el.getAttribute('label')
+            if (id && label && !labels.has(id)) labels.set(id, label)
+        })
+    }
+    return labels
+}
+
+/**
+ * The formatted shortcut of the first `<key>` bound to a command, e.g. "Ctrl+Shift+T".
+ * @param {Window} win
+ * @param {string} commandId
+ * @returns {string|null}
+ */
+function getShortcut(win, commandId) {
+    const key = win.document?.querySelector(`key[command="${win.CSS.escape(commandId)}"]`)
+    return key ? ShortcutUtils.prettifyShortcut(key) : null
+}
+
+/**
+ * Shows the command id and its shortcut.
+ * @type {Palette.PreviewFunc}
+ */
+function commandPalettePreview(entry, container) {
+    const doc = container.ownerDocument
+    const id = doc.createElement('div')
+    id.className = 'cp-preview-title'
+    id.textContent = String(entry.id)
+    const shortcut = doc.createElement('div')
+    shortcut.className = 'cp-preview-text'
+    shortcut.textContent = getShortcut(doc.defaultView, String(entry.id)) ?? 'no shortcut'
+    container.append(id, shortcut)
+}
+
 /** @type {Palette.PopulateFunc} */
 function aboutPagesPopulateFunc(p) {
     // get all `about:` pages
@@ -95,130 +151,155 @@ function aboutPagesPopulateFunc(p) {
             id: name,
             title: aboutPage,
             run: (win) => {
-                win.URILoadingHelper.openTrustedLinkIn(win, 'about:preferences', 'tab')
+                win.URILoadingHelper.openTrustedLinkIn(win, aboutPage, 'tab')
             },
+            next: () => openWhereStage,
         }
     })
 }
 
-/** @type {Palette.PopulateFunc} */
+/**
+ * Every other registered palette, with its hotkey (and what else claims it),
+ * followed by the picker modules that failed to load.
+ * @type {Palette.PopulateFunc}
+ */
 function pickerPickerPopulateFunc(p) {
-    if (!p.window.document) return []
-    return Array.from(p.window.document.querySelectorAll('dialog.cp-dialog')).map((/** @type HTMLDialogElement */ elem) => {
-        /** @type Palette.Entry */
-        const cmd = {
-            id: elem.getAttribute('data-cp-id') || 'ERR',
-            title: elem.getAttribute('data-cp-id') || 'ERR',
-            run: () => {
-                elem.dispatchEvent(new CustomEvent('picker:open'))
-                console.log(elem)
-                // elem.show() // does not work
-            },
-        }
-        return cmd
-    })
+    const win = p.window
+    if (!win.document) return []
+    /** @type {Palette.Entry[]} */
+    const configErrors = Config.errors.map((error, i) => ({
+        id: `config:${i}`,
+        title: '⚠ commandPaletteConfig.json',
+        subtitle: error,
+        run: () => console.warn(`commandPaletteConfig.json: ${error}`),
+    }))
+    /** @type {Palette.Entry[]} */
+    const failedModules = pickerModules
+        .filter((module) => module.status === 'failed')
+        .map((module) => ({
+            id: `module:${module.name}`,
+            title: `⚠ ${module.name}`,
+            subtitle: `picker module failed to load: ${module.error}`,
+            run: () => console.error(`Picker module '${module.name}' failed to load`, module.error),
+        }))
+    const palettes = PaletteRegistry.getAll()
+        .filter((reg) => reg.id !== p.id)
+        .map((reg) => {
+            const hotkey = PaletteRegistry.getHotkeyLabel(win, reg.id) ?? 'no hotkey'
+            const conflicts = PaletteRegistry.getHotkeyConflicts(reg.id).map((conflict) => `⚠ also ${conflict}`)
+            /** @type Palette.Entry */
+            const cmd = {
+                id: reg.id,
+                title: reg.opts?.title ?? reg.id,
+                subtitle: [hotkey, ...conflicts].join(' · '),
+                run: () => {
+                    if (!win.document) return
+                    PaletteRegistry.get(win, reg.id)?.show(win.document)
+                },
+            }
+            return cmd
+        })
+    return [...palettes, ...configErrors, ...failedModules]
+}
+
+/** @type {Palette.Registration} */
+const commandPaletteRegistration = {
+    id: 'toggleCommandPalette',
+    populateFunc: commandPalettePopulateFunc,
+    prefix: '>',
+    opts: {
+        title: 'Commands',
+        populateBehavior: ['OnShow'],
+        fuzzy: false, // we want to find commands by their names exactly.
+        preview: commandPalettePreview,
+        hotkey: { modifiers: 'alt shift', key: 'p' },
+    },
+}
+
+/** @type {Palette.Registration} */
+const pickerPickerRegistration = {
+    id: 'togglePickerPicker',
+    populateFunc: pickerPickerPopulateFunc,
+    opts: {
+        populateBehavior: ['OnShow'], // which pickers are 'enabled' is dynamic
+        hotkey: { modifiers: 'alt shift', key: 'q', suppressOriginal: true },
+    },
+}
+
+/** @type {Palette.Registration} */
+const aboutPagesRegistration = {
+    id: 'aboutPages',
+    populateFunc: aboutPagesPopulateFunc,
+    prefix: 'about:',
+    opts: {
+        title: 'About pages',
+        populateBehavior: ['OnShow'],
+    },
 }
 
 // /** @typedef {Palette.Entry & {count: number}} DomainPickerCommand */ // intersection type
 
+/*
+ * Other modules can register palettes the same way, at any time:
+ *
+ * ```js
+ * import { PaletteRegistry } from './pickers/registry.sys.mjs'
+ * import { Eagle } from './eagle.sys.mjs'
+ * Eagle.RegisterPalettes.forEach((reg) => PaletteRegistry.register(reg))
+ * ```
+ */
+/** @type {PickerModule[]} picker modules found in `pickers/`, once loaded */
+let pickerModules = []
+/** @type {Map<string, Palette.Registration>} every registration as defined, before the user's settings are applied */
+const definedRegistrations = new Map()
+
 // define and initialize pickers.
-;(async () => {
-    // ChromeUtils.importESModule ?
-    const { EveryWindow } = await import('resource:///modules/EveryWindow.sys.mjs')
-    const initCallback = (/** @type {Window} */ win) => {
-        const defineHotkey = UC_API.Hotkeys.define
-
-        {
-            const thisPickerId = 'toggleCommandPalette' // <---
-            const palette = new Palette(win, thisPickerId, commandPalettePopulateFunc, {
-                populateBehavior: ['OnShow'],
-                fuzzy: false, // we want to find commands by their names exactly.
-            })
-            palette.init(win)
-
-            defineHotkey({
-                modifiers: 'alt shift',
-                key: 'p',
-                id: `key_${thisPickerId}`,
-                command: () => {
-                    if (!win.document) return
-                    palette.show(win.document)
-                },
-            }).attachToWindow(win)
-        }
+/** @type {Palette.Registration[]} */
+const registrations = [commandPaletteRegistration, pickerPickerRegistration, aboutPagesRegistration]
+/** @param {Palette.Registration} reg */
+const withSettings = (reg) => {
+    definedRegistrations.set(reg.id, reg)
+    return { ...reg, opts: withUserSettings(reg.id, reg.opts ?? {}) }
+}
+registrations.forEach((reg) => PaletteRegistry.register(withSettings(reg)))
 
-        {
-            const thisPickerId = 'togglePickerPicker'
-            const palette = new Palette(win, thisPickerId, pickerPickerPopulateFunc, {
-                populateBehavior: ['OnShow'], // which pickers are 'enabled' is dynamic
-            })
-            palette.init(win)
-
-            defineHotkey({
-                modifiers: 'alt shift',
-                key: 'q',
-                id: `key_${thisPickerId}`,
-                command: () => {
-                    if (!win.document) return
-                    palette.show(win.document)
-                },
-            }).attachToWindow(win, { suppressOriginal: true })
-
-            // TODO:
-            // add cp-data-host to filter hotkey; hostFilter to opts
-            // pseudo:
-            // host = p.window.gBrowser.selectedTab.linkedBrowser.currentURI.host
-            // if p.dialog.hasAttribute('data-cp-hosts') filterHosts = getAttribute'data-cp-hosts'
-            // /** @type []string */
-            // filterHosts.includes(host)
-            //
-        }
-        {
-            const thisPickerId = 'aboutPages'
-            const palette = new Palette(win, thisPickerId, aboutPagesPopulateFunc, {
-                populateBehavior: ['OnShow'],
-            })
-            palette.init(win)
-        }
-        // {
-        //     /* modules can also export an array of palettes we can use to
-        //      * quickly register many palettes at once.
-        //      *
-        //      * ```js
-        //      * // returns { Palette.Registration }
-        //      * await import('./eagle.sys.mjs').then( ({RegisterPalettes}) => {
-        //      *     RegisterPalettes.forEach((p) => {
-        //      *         ...
-        //      *     }
-        //      * })
-        //      * ```
-        //      */
-        //     import { BrowserWindowTracker } from 'resource:///modules/BrowserWindowTracker.sys.mjs'
-        //
-        //     import { Eagle } from './eagle.sys.mjs'
-        //     Eagle.RegisterPalettes.forEach((p) => {
-        //         const thisPickerid = p.id
-        //         const palette = new Palette(win, thisPickerid, p.populateFunc, p.opts)
-        //         palette.init(win)
-        //     })
-        // }
-        // {
-        //     import { Raindrop } from './raindrop.sys.mjs'
-        //     Raindrop.RegisterPalettes.forEach((p) => {
-        //         const thisPickerid = p.id
-        //         const palette = new Palette(win, thisPickerid, p.populateFunc, p.opts)
-        //         palette.init(win)
-        //     })
-        // }
-        // {
-        //     import { DomainPickers } from './DomainPickers.sys.mjs'
-        //     DomainPickers.RegisterPalettes.forEach((p) => {
-        //         const thisPickerid = p.id
-        //         const palette = new Palette(win, thisPickerid, p.populateFunc, p.opts)
-        //         palette.init(win)
-        //     })
-        // }
-        // win.CommandPalette = palette
-    }
-    EveryWindow.registerCallback('picker.sys.mjs', initCallback, () => {})
-})()
+const UNIFIED_PALETTE_ID = 'unifiedPalette'
+
+/**
+ * Searches every registered picker with a prefix. Its sources are fixed when it is made,
+ * so it is registered again whenever a palette is registered or unregistered.
+ */
+function registerUnifiedPalette() {
+    const reg = unifiedRegistration(UNIFIED_PALETTE_ID, PaletteRegistry.getAll(), {
+        hotkey: { modifiers: 'alt shift', key: 'a', suppressOriginal: true },
+    })
+    PaletteRegistry.register({ ...reg, opts: withUserSettings(reg.id, reg.opts ?? {}) })
+}
+
+// every `pickers/*.sys.mjs` exporting `RegisterPalettes`; `"modules": { "<name>": false }` in the config disables one
+loadPickerModules({ enabled: Config.current.modules, transform: withSettings }).then((modules) => {
+    pickerModules = modules
+    registerUnifiedPalette()
+    // once for each batch of changes, e.g. every palette re-registered by a config change
+    let rebuildPending = false
+    PaletteRegistry.onChange((id) => {
+        if (id === UNIFIED_PALETTE_ID || rebuildPending) return
+        rebuildPending = true
+        Promise.resolve().then(() => {
+            rebuildPending = false
+            registerUnifiedPalette()
+        })
+    })
+})
+
+// re-create the palettes with the new settings; `commands` and `aliases` are read on every show anyway
+let appliedSettings = JSON.stringify([Config.current.palettes, Config.current.keymaps, Config.current.hotkeys])
+Config.onChange(({ palettes, keymaps, hotkeys }) => {
+    const settings = JSON.stringify([palettes, keymaps, hotkeys])
+    if (settings === appliedSettings) return
+    appliedSettings = settings
+    definedRegistrations.forEach((reg) => {
+        if (PaletteRegistry.getRegistration(reg.id)) PaletteRegistry.register(withSettings(reg))
+    })
+})
+Config.watch()
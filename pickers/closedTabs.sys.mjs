@@ -0,0 +1,173 @@
+/**
+ * Pickers over SessionStore's recently closed tabs (of every open window) and
+ * recently closed windows. Choosing one restores it where it was.
+ */
+
+/** @import { Palette } from './lib.sys.mjs' */
+import * as UC_API from 'chrome://userchromejs/content/uc_api.sys.mjs'
+import { SessionStore } from 'resource:///modules/sessionstore/SessionStore.sys.mjs'
+
+import { appendPreviewLine, formatTimeAgo, hostOf } from './format.sys.mjs'
+
+/**
+ * The parts of SessionStore's closed tab data used here.
+ * @typedef {Object} ClosedTabData
+ * @property {number} closedId
+ * @property {number} closedAt - ms since the epoch
+ * @property {string} title
+ * @property {TabState} state
+ */
+
+/**
+ * @typedef {Object} TabState
+ * @property {{url: string, title?: string}[]} entries - session history
+ * @property {number} [index] - 1-based index of the current entry in `entries`
+ */
+
+/**
+ * @typedef {Object} ClosedWindowData
+ * @property {number} closedId
+ * @property {number} closedAt
+ * @property {string} title
+ * @property {TabState[]} tabs
+ */
+
+/** @typedef {Palette.Entry & {closedId: number, closedAt: number, url: string, host: string, window: string}} ClosedTabEntry */
+/** @typedef {Palette.Entry & {closedId: number, closedAt: number, tabs: TabState[]}} ClosedWindowEntry */
+
+/**
+ * @param {TabState} state
+ * @returns {{url: string, title?: string}} the entry the tab was showing
+ */
+function currentEntry(state) {
+    return state.entries[(state.index ?? state.entries.length) - 1] ?? state.entries[state.entries.length - 1] ?? { url: '' }
+}
+
+/**
+ * @param {{closedAt: number}} a
+ * @param {{closedAt: number}} b
+ */
+const MostRecentFirst = (a, b) => b.closedAt - a.closedAt
+
+/**
+ * @param {ClosedTabData} data
+ * @param {string} window - e.g. `"this window"`
+ * @returns {ClosedTabEntry}
+ */
+function closedTabEntry(data, window) {
+    const { url } = currentEntry(data.state)
+    return {
+        id: `tab:${data.closedId}`,
+        title: data.title || url,
+        subtitle: url,
+        displaySubtitle: `${url} · ${window} · closed ${formatTimeAgo(data.closedAt)}`,
+        keywords: [window],
+        closedId: data.closedId,
+        closedAt: data.closedAt,
+        url,
+        host: hostOf(url),
+        window,
+        // back into the window it was closed in, at its old position
+        run: () => SessionStore.undoCloseById(data.closedId),
+    }
+}
+
+/**
+ * The closed tabs of every open window; `kw:this` narrows them to the current window's.
+ * @type {Palette.PopulateFunc}
+ * @returns {ClosedTabEntry[]}
+ */
+function closedTabsPopulateFunc(p) {
+    if (!p.window.document) return []
+    return UC_API.Windows.getAll(true).flatMap((win, i) => {
+        const window = win === p.window ? 'this window' : `window ${i + 1}`
+        /** @type {ClosedTabData[]} */
+        const closed = SessionStore.getClosedTabDataForWindow(win)
+        return closed.map((data) => closedTabEntry(data, window))
+    })
+}
+
+/** @type {Palette.PreviewFunc} */
+function closedTabPreview(entry, container) {
+    const { title, url, window, closedAt } = /** @type {ClosedTabEntry} */ (entry)
+    appendPreviewLine(container, title, 'cp-preview-title')
+    appendPreviewLine(container, url)
+    appendPreviewLine(container, `closed ${formatTimeAgo(closedAt)} in ${window}`)
+}
+
+/** @type {Palette.Action[]} */
+const closedTabsActions = [
+    {
+        name: 'Restore all tabs from this domain',
+        key: 'ctrl+r',
+        run: (_win, entries, palette) => {
+            const hosts = new Set(/** @type {ClosedTabEntry[]} */ (entries).map((entry) => entry.host).filter(Boolean))
+            const matching = /** @type {ClosedTabEntry[]} */ (palette.commands).filter((entry) => hosts.has(entry.host))
+            palette.hide()
+            // most recently closed first, so each lands back at the position it was closed from
+            matching.sort(MostRecentFirst).forEach((entry) => SessionStore.undoCloseById(entry.closedId))
+        },
+    },
+]
+
+/**
+ * @type {Palette.PopulateFunc}
+ * @returns {ClosedWindowEntry[]}
+ */
+function closedWindowsPopulateFunc(p) {
+    if (!p.window.document) return []
+    /** @type {ClosedWindowData[]} */
+    const closed = SessionStore.getClosedWindowData()
+    return closed.map((data) => ({
+        id: `window:${data.closedId}`,
+        title: data.title,
+        // every tab's title, so a window can be found by any of them
+        subtitle: data.tabs.map((tab) => currentEntry(tab).title ?? currentEntry(tab).url).join(' · '),
+        displaySubtitle: `${data.tabs.length} tabs · closed ${formatTimeAgo(data.closedAt)}`,
+        closedId: data.closedId,
+        closedAt: data.closedAt,
+        tabs: data.tabs,
+        run: () => SessionStore.undoCloseById(data.closedId),
+    }))
+}
+
+/** @type {Palette.PreviewFunc} */
+function closedWindowPreview(entry, container) {
+    const { title, tabs, closedAt } = /** @type {ClosedWindowEntry} */ (entry)
+    appendPreviewLine(container, `${title} · ${tabs.length} tabs · closed ${formatTimeAgo(closedAt)}`, 'cp-preview-title')
+    tabs.forEach((tab) => {
+        const { url, title } = currentEntry(tab)
+        appendPreviewLine(container, `${title ?? url}\n${url}`)
+    })
+}
+
+export const ClosedTabsPickers = {
+    /** @type {Palette.Registration[]} */
+    RegisterPalettes: [
+        {
+            id: 'closedTabsPicker',
+            populateFunc: closedTabsPopulateFunc,
+            opts: {
+                title: 'Recently closed tabs',
+                populateBehavior: ['OnShow'],
+                frecency: false, // every closed tab is run at most once
+                initialSortFunc: MostRecentFirst,
+                actions: closedTabsActions,
+                preview: closedTabPreview,
+                hotkey: { modifiers: 'alt shift', key: 't' },
+            },
+        },
+        {
+            id: 'closedWindowsPicker',
+            populateFunc: closedWindowsPopulateFunc,
+            opts: {
+                title: 'Recently closed windows',
+                populateBehavior: ['OnShow'],
+                frecency: false,
+                initialSortFunc: MostRecentFirst,
+                preview: closedWindowPreview,
+                hotkey: { modifiers: 'alt shift', key: 'w' },
+            },
+        },
+    ],
+}
@@ -0,0 +1,225 @@
+/**
+ * The user's settings, from `<resources>/commandPaletteConfig.json`.
+ *
+ * ```json
+ * {
+ *     "version": 1,
+ *     "commands": { "cmd_newNavigatorTab": { "title": "New tab" }, "cmd_close": { "enabled": false } },
+ *     "aliases": { "nt": "cmd_newNavigatorTab", "gh": "user:github" },
+ *     "userCommands": {
+ *         "github": { "type": "openUrl", "title": "GitHub", "url": "https://github.com", "where": "tab" },
+ *         "darkMode": { "type": "setPref", "title": "Dark pages", "pref": "layout.css.prefers-color-scheme.content-override", "value": 0 },
+ *         "lastTabClosesWindow": { "type": "togglePref", "title": "Close the window with its last tab", "pref": "browser.tabs.closeWindowWithLastTab" }
+ *     },
+ *     "palettes": { "openTabsPicker": { "width": 60, "fuzzy": false, "hostAllowList": ["github.com"] } },
+ *     "keymaps": { "*": { "ctrl+j": "selectNext" }, "domainTabsPicker": { "ctrl+c": null } },
+ *     "hotkeys": { "openTabsPicker": { "modifiers": "accel shift", "key": "o" }, "togglePickerPicker": null },
+ *     "modules": { "domainPickers": false },
+ *     "macros": {
+ *         "configAndGithub": {
+ *             "title": "Open about:config in a new window, then GitHub",
+ *             "steps": [
+ *                 { "palette": "aboutPages", "entry": "config", "args": { "next": ["window"] } },
+ *                 { "palette": "toggleCommandPalette", "entry": "user:github" }
+ *             ]
+ *         }
+ *     }
+ * }
+ * ```
+ *
+ * Every section is optional. Invalid settings are reported (see `Config.errors`) and
+ * ignored, the rest still applies. Files without a `version` use the original flat
+ * format, `{ "<command id>": { "title": ..., "enabled": ... } }`, and are migrated.
+ * The file is watched: changes apply without a restart, except for `modules`.
+ */
+
+/** @import { Palette } from './lib.sys.mjs' */
+import * as UC_API from 'chrome://userchromejs/content/uc_api.sys.mjs'
+import { clearInterval, setInterval } from 'resource://gre/modules/Timer.sys.mjs'
+
+import { emptyConfig, migrateConfig, validateConfig } from './configSchema.sys.mjs'
+
+const CONFIG_FILE = 'commandPaletteConfig.json'
+/** how often (ms) the file is checked for changes */
+const WATCH_INTERVAL = 2000
+
+/**
+ * @typedef {Object} CommandOverride
+ * @property {string}  [title]        - Shown instead of the command's id.
+ * @property {boolean} [enabled=true] - `false` hides the command.
+ */
+
+/**
+ * The palette options that can be set from the config file.
+ * @typedef {Pick<Palette.Options, 'title'|'placeholder'|'width'|'maxVisible'|'fuzzy'|'highlight'|'frecency'|'minQueryLength'|'populateBehavior'|'hostAllowList'>} PaletteConfig
+ */
+
+/**
+ * @typedef {Object} Config
+ * @property {number} version
+ * @property {Object<string, CommandOverride>} commands - by command id
+ * @property {Object<string, string>} aliases - alias → command id (`user:<id>` for user commands, `macro:<name>` for macros)
+ * @property {Object<string, UserCommand>} userCommands - extra command palette entries, by id
+ * @property {Object<string, PaletteConfig>} palettes - by palette id
+ * @property {Object<string, Palette.Keymap>} keymaps - by palette id, `"*"` for every palette
+ * @property {Object<string, Palette.Hotkey|null>} hotkeys - by palette id; `null` removes a palette's hotkey
+ * @property {Object<string, boolean>} modules - picker module name → whether to load it
+ * @property {Object<string, Macro>} macros - by name, run from the command palette
+ */
+
+/**
+ * A palette entry to run as part of a macro.
+ * @typedef {Object} MacroStep
+ * @property {string} palette - The palette's id.
+ * @property {string} entry - The entry's key: its `id`, or its `title` if it has none (see `Palette.entryKey`).
+ * @property {Object} [args]
+ * @property {string} [args.query] - The query to populate an "OnQuery" palette with.
+ * @property {string[]} [args.next] - Keys of the entries to choose in the follow-up stages of a chained picker.
+ */
+
+/**
+ * @typedef {Object} Macro
+ * @property {string} [title] - Shown in the command palette; defaults to the macro's name.
+ * @property {MacroStep[]} steps - Run in order; a failing step stops the macro.
+ */
+
+/**
+ * An entry added to the command palette by the config file. Besides `type`, `title`
+ * and an optional `subtitle`, each type takes its own settings:
+ *
+ * | type              | settings                                                            |
+ * | ----------------- | ------------------------------------------------------------------- |
+ * | `openUrl`         | `url`, `where` (`"current"`, `"tab"` (default), `"window"`, `"tabshifted"`) |
+ * | `setPref`         | `pref`, `value` (a boolean, integer or string)                      |
+ * | `togglePref`      | `pref` (a boolean pref; unset counts as false)                      |
+ * | `dispatchCommand` | `commands`: `<command>` ids, run in order                           |
+ * | `runMenuItem`     | `menuitem`: a menu item id                                          |
+ * | `openPicker`      | `palette`: a palette id                                             |
+ *
+ * @typedef {{type: 'openUrl', url: string, where?: string}
+ *     | {type: 'setPref', pref: string, value: boolean|number|string}
+ *     | {type: 'togglePref', pref: string}
+ *     | {type: 'dispatchCommand', commands: string[]}
+ *     | {type: 'runMenuItem', menuitem: string}
+ *     | {type: 'openPicker', palette: string}} UserCommandAction
+ * @typedef {UserCommandAction & {title: string, subtitle?: string}} UserCommand
+ */
+
+/** @returns {number} the file's modification time, or `0` if there is no file */
+function modifiedTime() {
+    try {
+        const file = UC_API.FileSystem.getEntry(CONFIG_FILE)?.entry()
+        return file?.exists() ? file.lastModifiedTime : 0
+    } catch {
+        return 0
+    }
+}
+
+let current = emptyConfig()
+/** @type {string[]} */
+let errors = []
+let lastModified = -1
+/** @type {Set<(config: Config) => void>} */
+const listeners = new Set()
+/** @type {ReturnType<typeof setInterval>|null} */
+let watchTimer = null
+
+function notify() {
+    listeners.forEach((listener) => {
+        try {
+            listener(current)
+        } catch (err) {
+            console.error('Config change listener failed', err)
+        }
+    })
+}
+
+/**
+ * (Re)read the file. A file that can't be parsed keeps the previous settings.
+ * @returns {boolean} whether the settings changed
+ */
+function load() {
+    lastModified = modifiedTime()
+    if (lastModified === 0) {
+        errors = []
+        const changed = JSON.stringify(current) !== JSON.stringify(emptyConfig())
+        current = emptyConfig()
+        return changed // no file: defaults
+    }
+    let raw
+    try {
+        const fsResult = UC_API.FileSystem.readFileSync(CONFIG_FILE)
+        if (!fsResult?.isContent?.()) throw new Error('could not read the file')
+        raw = JSON.parse(fsResult.content(false))
+    } catch (e) {
+        errors = [`${CONFIG_FILE}: ${/** @type {Error} */ (e).message}; keeping the previous settings`]
+        console.error(`Failed to load or parse <resources>/${CONFIG_FILE}`, e)
+        return false
+    }
+    const result = validateConfig(raw)
+    errors = result.errors
+    if (errors.length > 0) console.warn(`Problems in <resources>/${CONFIG_FILE}:\n${errors.join('\n')}`)
+    const changed = JSON.stringify(result.config) !== JSON.stringify(current)
+    current = result.config
+    return changed
+}
+
+load()
+
+export const Config = {
+    /** @returns {Config} the validated settings */
+    get current() {
+        return current
+    },
+
+    /** @returns {string[]} what was wrong with the file when it was last read */
+    get errors() {
+        return errors
+    },
+
+    /**
+     * Call `listener` whenever the settings change on disk.
+     * @param {(config: Config) => void} listener
+     * @returns {() => void} removes the listener
+     */
+    onChange(listener) {
+        listeners.add(listener)
+        return () => listeners.delete(listener)
+    },
+
+    /** Start checking the file for changes (idempotent). */
+    watch() {
+        if (watchTimer !== null) return
+        watchTimer = setInterval(() => {
+            if (modifiedTime() === lastModified || !load()) return
+            notify()
+        }, WATCH_INTERVAL)
+    },
+
+    /**
+     * Edit the file. `change` gets its settings, in the current format, to modify in place;
+     * a file in the original format is rewritten in the current one.
+     * @param {(raw: Object<string, any>) => void} change
+     * @returns {Promise<void>}
+     */
+    async update(change) {
+        /** @type {Object<string, any>} */
+        let raw = {}
+        if (modifiedTime() !== 0) {
+            const fsResult = UC_API.FileSystem.readFileSync(CONFIG_FILE)
+            if (!fsResult?.isContent?.()) throw new Error(`could not read ${CONFIG_FILE}`)
+            raw = JSON.parse(fsResult.content(false)) // a broken file throws here rather than being overwritten
+        }
+        const updated = migrateConfig(raw)
+        change(updated)
+        await UC_API.FileSystem.writeFile(CONFIG_FILE, JSON.stringify(updated, null, 4))
+        if (load()) notify()
+    },
+
+    /** Stop checking the file for changes. */
+    unwatch() {
+        if (watchTimer === null) return
+        clearInterval(watchTimer)
+        watchTimer = null
+    },
+}
@@ -0,0 +1,270 @@
+/**
+ * Validation and migration of the settings file (see `config.sys.mjs`). No browser
+ * APIs here, so it can be tested on its own.
+ */
+
+/** @import { CommandOverride, Config, Macro, MacroStep, PaletteConfig, UserCommand } from './config.sys.mjs' */
+/** @import { Palette } from './lib.sys.mjs' */
+
+export const CONFIG_VERSION = 1
+
+/**
+ * @typedef {Object} Check
+ * @property {string} expected - what a valid value is, for error messages
+ * @property {(value: any) => boolean} test
+ */
+
+/** @type {Object<string, Check>} */
+const is = {
+    string: { expected: 'a string', test: (v) => typeof v === 'string' },
+    boolean: { expected: 'true or false', test: (v) => typeof v === 'boolean' },
+    count: { expected: 'a whole number ≥ 0', test: (v) => Number.isInteger(v) && v >= 0 },
+    width: { expected: 'a number (percent) or a CSS width', test: (v) => (typeof v === 'number' && v > 0) || typeof v === 'string' },
+    populateBehavior: {
+        expected: 'a list of "OnInit", "OnFirstShow", "OnShow" or "OnQuery"',
+        test: (v) => Array.isArray(v) && v.length > 0 && v.every((b) => ['OnInit', 'OnFirstShow', 'OnShow', 'OnQuery'].includes(b)),
+    },
+    hostList: {
+        expected: 'a non-empty list of host names',
+        test: (v) => Array.isArray(v) && v.length > 0 && v.every((h) => typeof h === 'string'),
+    },
+    binding: { expected: 'an operation name, "action:<name>" or null', test: (v) => v === null || typeof v === 'string' },
+    object: { expected: 'an object', test: (v) => typeof v === 'object' && v !== null && !Array.isArray(v) },
+    where: { expected: '"current", "tab", "window" or "tabshifted"', test: (v) => ['current', 'tab', 'window', 'tabshifted'].includes(v) },
+    prefValue: {
+        expected: 'true, false, a whole number or a string',
+        test: (v) => typeof v === 'boolean' || Number.isInteger(v) || typeof v === 'string',
+    },
+    stringList: { expected: 'a non-empty list of strings', test: (v) => Array.isArray(v) && v.length > 0 && v.every((s) => typeof s === 'string') },
+}
+
+/** @type {Object<keyof PaletteConfig, Check>} */
+const PALETTE_OPTIONS = {
+    title: is.string,
+    placeholder: is.string,
+    width: is.width,
+    maxVisible: is.count,
+    fuzzy: is.boolean,
+    highlight: is.boolean,
+    frecency: is.boolean,
+    minQueryLength: is.count,
+    populateBehavior: is.populateBehavior,
+    hostAllowList: is.hostList,
+}
+
+/** @type {Object<keyof CommandOverride, Check>} */
+const COMMAND_OPTIONS = {
+    title: is.string,
+    enabled: is.boolean,
+}
+
+/** @type {Object<string, Check>} */
+const HOTKEY_OPTIONS = {
+    modifiers: is.string,
+    key: { expected: 'a single character', test: (v) => typeof v === 'string' && v.length === 1 },
+    suppressOriginal: is.boolean,
+}
+
+/** @type {Object<string, Check>} */
+const MACRO_STEP_OPTIONS = {
+    palette: is.string,
+    entry: is.string,
+    args: is.object,
+}
+
+/** @type {Object<string, Check>} */
+const MACRO_ARGS = {
+    query: is.string,
+    next: is.stringList,
+}
+
+/** @type {Object<UserCommand['type'], {required: Object<string, Check>, optional?: Object<string, Check>}>} */
+const USER_COMMAND_TYPES = {
+    openUrl: { required: { url: is.string }, optional: { where: is.where } },
+    setPref: { required: { pref: is.string, value: is.prefValue } },
+    togglePref: { required: { pref: is.string } },
+    dispatchCommand: { required: { commands: is.stringList } },
+    runMenuItem: { required: { menuitem: is.string } },
+    openPicker: { required: { palette: is.string } },
+}
+
+/** @returns {Config} the settings when there is no file */
+export const emptyConfig = () => ({
+    version: CONFIG_VERSION,
+    commands: {},
+    aliases: {},
+    userCommands: {},
+    palettes: {},
+    keymaps: {},
+    hotkeys: {},
+    modules: {},
+    macros: {},
+})
+
+/** @param {unknown} value */
+function describe(value) {
+    const json = JSON.stringify(value) ?? String(value)
+    return json.length > 40 ? `${json.slice(0, 39)}…` : json
+}
+
+/**
+ * Collects readable validation errors, e.g. `palettes.openTabsPicker.width: expected a number (percent) or a CSS width, got true`.
+ */
+class Validator {
+    /** @type {string[]} */
+    errors = []
+
+    /**
+     * @param {string} path
+     * @param {unknown} value
+     * @param {Check} check
+     * @returns {boolean}
+     */
+    check(path, value, check) {
+        if (check.test(value)) return true
+        this.errors.push(`${path}: expected ${check.expected}, got ${describe(value)}`)
+        return false
+    }
+
+    /**
+     * The valid properties of an object with known properties.
+     * @param {string} path
+     * @param {unknown} value
+     * @param {Object<string, Check>} properties
+     * @returns {Object<string, any>}
+     */
+    record(path, value, properties) {
+        /** @type {Object<string, any>} */
+        const out = {}
+        if (!this.check(path, value, is.object)) return out
+        Object.entries(/** @type {Object<string, unknown>} */ (value)).forEach(([name, v]) => {
+            if (!Object.hasOwn(properties, name)) {
+                this.errors.push(`${path}.${name}: unknown setting (known: ${Object.keys(properties).join(', ')})`)
+                return
+            }
+            if (this.check(`${path}.${name}`, v, properties[name])) out[name] = v
+        })
+        return out
+    }
+
+    /**
+     * The valid entries of an object keyed by ids.
+     * @template T
+     * @param {string} path
+     * @param {unknown} value
+     * @param {(path: string, value: unknown) => T|undefined} validate - returns `undefined` to drop the entry
+     * @returns {Object<string, T>}
+     */
+    map(path, value, validate) {
+        /** @type {Object<string, T>} */
+        const out = {}
+        if (value === undefined || !this.check(path, value, is.object)) return out
+        Object.entries(/** @type {Object<string, unknown>} */ (value)).forEach(([id, v]) => {
+            const valid = validate(`${path}.${id}`, v)
+            if (valid !== undefined) out[id] = valid
+        })
+        return out
+    }
+}
+
+/**
+ * @param {Validator} v
+ * @param {string} path
+ * @param {unknown} value
+ * @returns {UserCommand|undefined} `undefined` if it can't be run
+ */
+function validateUserCommand(v, path, value) {
+    if (!v.check(path, value, is.object)) return undefined
+    const { type } = /** @type {{type?: unknown}} */ (value)
+    if (typeof type !== 'string' || !Object.hasOwn(USER_COMMAND_TYPES, type)) {
+        v.errors.push(`${path}.type: expected one of ${Object.keys(USER_COMMAND_TYPES).join(', ')}, got ${describe(type)}`)
+        return undefined
+    }
+    const { required, optional } = USER_COMMAND_TYPES[/** @type {UserCommand['type']} */ (type)]
+    const command = v.record(path, value, { type: is.string, title: is.string, subtitle: is.string, ...required, ...optional })
+    const missing = ['title', ...Object.keys(required)].filter((name) => !Object.hasOwn(command, name))
+    if (missing.length > 0) {
+        v.errors.push(`${path}: a ${type} command needs ${missing.map((name) => `"${name}"`).join(', ')}`)
+        return undefined
+    }
+    return /** @type {UserCommand} */ (command)
+}
+
+/**
+ * @param {Validator} v
+ * @param {string} path
+ * @param {unknown} value
+ * @returns {Macro|undefined} `undefined` if it can't be run
+ */
+function validateMacro(v, path, value) {
+    const macro = v.record(path, value, { title: is.string, steps: { expected: 'a non-empty list of steps', test: (s) => Array.isArray(s) && s.length > 0 } })
+    if (!macro.steps) {
+        // an invalid `steps` is already reported
+        if (is.object.test(value) && !Object.hasOwn(/** @type {object} */ (value), 'steps')) v.errors.push(`${path}: needs "steps"`)
+        return undefined
+    }
+    /** @type {MacroStep[]} */
+    const steps = []
+    for (const [i, step] of macro.steps.entries()) {
+        const stepPath = `${path}.steps[${i}]`
+        const valid = v.record(stepPath, step, MACRO_STEP_OPTIONS)
+        if (valid.args) valid.args = v.record(`${stepPath}.args`, valid.args, MACRO_ARGS)
+        if (typeof valid.palette !== 'string' || typeof valid.entry !== 'string') {
+            v.errors.push(`${stepPath}: needs "palette" and "entry"`)
+            return undefined // running the other steps without this one could do something else entirely
+        }
+        steps.push(/** @type {MacroStep} */ (valid))
+    }
+    return { ...macro, steps }
+}
+
+/**
+ * Bring a parsed file to the current format.
+ * @param {Object<string, any>} raw
+ * @param {string[]} [errors] - receives what can't be migrated
+ * @returns {Object<string, any>}
+ */
+export function migrateConfig(raw, errors = []) {
+    if (raw.version === undefined) {
+        // the original format: command overrides at the top level, next to `keymaps`/`hotkeys`/`modules`
+        const { keymaps, hotkeys, modules, ...commands } = raw
+        return { version: CONFIG_VERSION, commands, keymaps, hotkeys, modules }
+    }
+    if (raw.version !== CONFIG_VERSION) {
+        errors.push(`version: this version of the pickers reads version ${CONFIG_VERSION}, got ${describe(raw.version)}`)
+    }
+    return raw
+}
+
+/**
+ * @param {unknown} raw - the parsed file
+ * @returns {{config: Config, errors: string[]}}
+ */
+export function validateConfig(raw) {
+    const v = new Validator()
+    const config = emptyConfig()
+    if (!v.check('(file)', raw, is.object)) return { config, errors: v.errors }
+    const migrated = migrateConfig(/** @type {Object<string, any>} */ (raw), v.errors)
+
+    Object.keys(migrated)
+        .filter((section) => !Object.hasOwn(config, section))
+        .forEach((section) => v.errors.push(`${section}: unknown section (known: ${Object.keys(config).join(', ')})`))
+
+    config.commands = v.map('commands', migrated.commands, (path, value) => v.record(path, value, COMMAND_OPTIONS))
+    config.aliases = v.map('aliases', migrated.aliases, (path, value) => (v.check(path, value, is.string) ? value : undefined))
+    config.userCommands = v.map('userCommands', migrated.userCommands, (path, value) => validateUserCommand(v, path, value))
+    config.palettes = v.map('palettes', migrated.palettes, (path, value) => v.record(path, value, PALETTE_OPTIONS))
+    config.keymaps = v.map('keymaps', migrated.keymaps, (path, value) =>
+        v.map(path, value ?? {}, (chordPath, binding) => (v.check(chordPath, binding, is.binding) ? binding : undefined)),
+    )
+    config.hotkeys = v.map('hotkeys', migrated.hotkeys, (path, value) => {
+        if (value === null) return null
+        const hotkey = v.record(path, value, HOTKEY_OPTIONS)
+        if (typeof hotkey.modifiers === 'string' && typeof hotkey.key === 'string') return /** @type {Palette.Hotkey} */ (hotkey)
+        v.errors.push(`${path}: needs both "modifiers" and "key"`)
+        return undefined
+    })
+    config.modules = v.map('modules', migrated.modules, (path, value) => (v.check(path, value, is.boolean) ? value : undefined))
+    config.macros = v.map('macros', migrated.macros, (path, value) => validateMacro(v, path, value))
+    return { config, errors: v.errors }
+}
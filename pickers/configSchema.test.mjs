@@ -0,0 +1,60 @@
+import { assertEquals } from '@std/assert'
+
+import { CONFIG_VERSION, emptyConfig, validateConfig } from './configSchema.sys.mjs'
+
+Deno.test('validateConfig: the original flat format is migrated', () => {
+    const { config, errors } = validateConfig({
+        cmd_newNavigatorTab: { title: 'New tab' },
+        cmd_close: { enabled: false },
+        hotkeys: { openTabsPicker: { modifiers: 'accel shift', key: 'o' } },
+        modules: { domainPickers: false },
+    })
+    assertEquals(errors, [])
+    assertEquals(config, {
+        ...emptyConfig(),
+        commands: { cmd_newNavigatorTab: { title: 'New tab' }, cmd_close: { enabled: false } },
+        hotkeys: { openTabsPicker: { modifiers: 'accel shift', key: 'o' } },
+        modules: { domainPickers: false },
+    })
+})
+
+Deno.test('validateConfig: a newer version is reported but still read', () => {
+    const { config, errors } = validateConfig({ version: CONFIG_VERSION + 1, aliases: { nt: 'cmd_newNavigatorTab' } })
+    assertEquals(errors, [`version: this version of the pickers reads version ${CONFIG_VERSION}, got ${CONFIG_VERSION + 1}`])
+    assertEquals(config.aliases, { nt: 'cmd_newNavigatorTab' })
+})
+
+Deno.test('validateConfig: hotkeys', () => {
+    const { config, errors } = validateConfig({
+        version: CONFIG_VERSION,
+        hotkeys: {
+            openTabsPicker: { modifiers: 'accel shift', key: 'o' },
+            togglePickerPicker: null,
+            aboutPages: { modifiers: 'accel', key: 'F1' },
+            closedTabs: { modifiers: 'accel' },
+        },
+    })
+    assertEquals(config.hotkeys, { openTabsPicker: { modifiers: 'accel shift', key: 'o' }, togglePickerPicker: null })
+    assertEquals(errors, [
+        'hotkeys.aboutPages.key: expected a single character, got "F1"',
+        'hotkeys.aboutPages: needs both "modifiers" and "key"',
+        'hotkeys.closedTabs: needs both "modifiers" and "key"',
+    ])
+})
+
+Deno.test('validateConfig: unknown sections and settings are reported, the rest applies', () => {
+    const { config, errors } = validateConfig({
+        version: CONFIG_VERSION,
+        palete: { openTabsPicker: { width: 60 } },
+        palettes: { openTabsPicker: { width: 60, fuzy: false } },
+    })
+    assertEquals(config.palettes, { openTabsPicker: { width: 60 } })
+    assertEquals(errors, [
+        `palete: unknown section (known: ${Object.keys(emptyConfig()).join(', ')})`,
+        'palettes.openTabsPicker.fuzy: unknown setting (known: title, placeholder, width, maxVisible, fuzzy, highlight, frecency, minQueryLength, populateBehavior, hostAllowList)',
+    ])
+})
+
+Deno.test('validateConfig: not an object', () => {
+    assertEquals(validateConfig([]), { config: emptyConfig(), errors: ['(file): expected an object, got []'] })
+})
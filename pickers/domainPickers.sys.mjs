@@ -0,0 +1,213 @@
+/** @import { Palette } from './lib.sys.mjs' */
+/** @import { GroupAction } from './groupActions.sys.mjs' */
+import * as UC_API from 'chrome://userchromejs/content/uc_api.sys.mjs'
+import { PageThumbs } from 'resource://gre/modules/PageThumbs.sys.mjs'
+
+import { appendPreviewLine, formatTimeAgo } from './format.sys.mjs'
+import { GROUP_ACTIONS, groupPaletteActions, runGroupAction } from './groupActions.sys.mjs'
+import { DEFAULT_PLACEHOLDER } from './lib.sys.mjs'
+import { groupingPlaceholder, groupTabs } from './tabGrouping.sys.mjs'
+
+// * @typedef {function(Palette): (Palette.Entry[] | Promise<Palette.Entry[]>)} Palette.PopulateFunc
+/** @typedef {Palette.Entry & {count: number}} DomainPickerEntry */ // intersection type
+
+/**
+ * @param {DomainPickerEntry} a
+ * @param {DomainPickerEntry} b
+ */
+const DomainPickerSortFunc = (a, b) => {
+    const countA = a?.count ?? 0
+    const countB = b?.count ?? 0
+    return countB - countA
+}
+
+/**
+ * Name the grouping mode in the placeholder, unless the palette (e.g. the unified one, or through the config) has its own.
+ * @param {Palette} p
+ */
+function showGroupingMode(p) {
+    if (p.options.placeholder === DEFAULT_PLACEHOLDER) p.input.placeholder = groupingPlaceholder()
+}
+
+/**
+ * One entry per group of tabs, in the current grouping mode (see `tabGrouping.sys.mjs`).
+ * @param {Palette} p
+ * @param {(entry: domainTabsEntry) => Partial<domainTabsEntry>} choose - what choosing the entry does: its `run`, or `next`
+ * @returns {domainTabsEntry[]}
+ */
+function tabGroupEntries(p, choose) {
+    if (!p.window.document) return []
+    showGroupingMode(p)
+
+    return groupTabs().map(({ label, tabs: matchingTabs }) => {
+        /** @type {domainTabsEntry} */
+        const entry = {
+            title: label,
+            run: () => {}, // see `choose`
+            displaySubtitle: `${matchingTabs.length} tabs`,
+            count: matchingTabs.length,
+            domain: label,
+            matchingTabs: matchingTabs,
+        }
+        return Object.assign(entry, choose(entry))
+    })
+}
+
+/**
+ * A picker of tab groups whose Enter runs `action` on the chosen group, e.g. `closeAllByDomainPicker`.
+ * @param {GroupAction & {picker: string}} action
+ * @returns {Palette.Registration}
+ */
+function groupActionPicker(action) {
+    return {
+        id: action.picker,
+        populateFunc: (p) =>
+            tabGroupEntries(p, (entry) => ({
+                keepOpen: action.keepOpen,
+                run: (win) => runGroupAction(action, win, [entry], p),
+            })),
+        opts: {
+            populateBehavior: ['OnShow'],
+            initialSortFunc: DomainPickerSortFunc,
+            actions: groupPaletteActions(),
+            keymap: { 'ctrl+g': 'cycleTabGrouping' },
+        },
+    }
+}
+
+// we will need to register custom event handlers to populate the picker on
+/** @typedef {Palette.Entry & {tab: Mocked.BrowserTab}} OpenTabsEntry */ // intersection type
+/**
+ * Streams one batch of entries per window, so the first window's tabs show up
+ * without waiting on every other window.
+ * @type {Palette.PopulateFunc}
+ * @returns {AsyncGenerator<OpenTabsEntry[]>}
+ */
+async function* openTabsPickerPopulateFunc(p, { signal } = {}) {
+    if (!p.window.document || !p.window.gBrowser?.tabs) {
+        return
+    }
+
+    for (const win of UC_API.Windows.getAll(true)) {
+        if (signal?.aborted) return
+        yield Array.from(win.gBrowser.tabs).map((tab) => openTabEntry(tab))
+    }
+}
+
+/**
+ * @param {Mocked.BrowserTab} tab
+ * @param {number} [windowNumber] - shown after the url
+ * @returns {OpenTabsEntry}
+ */
+function openTabEntry(tab, windowNumber) {
+    /** @type string */
+    const uri = tab.linkedBrowser.currentURI.asciiSpec
+    const win = tab.ownerGlobal
+    return {
+        title: tab.label,
+        run: () => {
+            win.gBrowser.selectedTab = tab
+            win.focus()
+        },
+        subtitle: uri,
+        displaySubtitle: windowNumber ? `${uri} · window ${windowNumber}` : undefined,
+        tab: tab,
+    }
+}
+
+/**
+ * Thumbnail, url and last access time of the selected tab.
+ * @type {Palette.PreviewFunc}
+ */
+async function openTabPreview(entry, container, signal) {
+    const { tab } = /** @type {OpenTabsEntry} */ (entry)
+    appendPreviewLine(container, tab.label, 'cp-preview-title')
+    appendPreviewLine(container, tab.linkedBrowser.currentURI.asciiSpec)
+    appendPreviewLine(container, `last accessed ${formatTimeAgo(tab.lastAccessed)}`)
+
+    if (tab.hasAttribute('pending')) return // unloaded tabs have nothing to capture
+    const canvas = /** @type {HTMLCanvasElement} */ (container.ownerDocument.createElement('canvas'))
+    canvas.width = 320
+    canvas.height = 200
+    await PageThumbs.captureToCanvas(tab.linkedBrowser, canvas)
+    if (signal.aborted) return
+    container.prepend(canvas)
+}
+
+/**
+ * @typedef {Palette.Entry & {domain?: string, count: number, matchingTabs: Mocked.BrowserTab[]}} domainTabsEntry
+ */
+
+/**
+ * Every tab of the selected domain.
+ * @type {Palette.PreviewFunc}
+ */
+function domainTabsPreview(entry, container) {
+    const { title, matchingTabs } = /** @type {domainTabsEntry} */ (entry)
+    appendPreviewLine(container, `${title} · ${matchingTabs.length} tabs`, 'cp-preview-title')
+    matchingTabs.forEach((tab) => {
+        appendPreviewLine(container, `${tab.label}\n${tab.linkedBrowser.currentURI.asciiSpec}`)
+    })
+}
+
+/**
+ * @type {Palette.PopulateFunc}
+ * @returns {domainTabsEntry[]}
+ */
+function populateDomainTabsPicker(p) {
+    // choosing a domain lists its tabs instead of running it
+    return tabGroupEntries(p, () => ({ next: domainTabsStage }))
+}
+
+/**
+ * The tabs of the chosen domain; the palette's group actions apply to them one by one.
+ * @type {Palette.NextFunc}
+ */
+function domainTabsStage(_win, entry) {
+    const { matchingTabs } = /** @type {domainTabsEntry} */ (entry)
+    const windows = UC_API.Windows.getAll(true)
+    return {
+        entries: matchingTabs.map((tab) => ({
+            ...openTabEntry(tab, windows.indexOf(tab.ownerGlobal) + 1),
+            preview: openTabPreview,
+        })),
+        paletteActions: true,
+    }
+}
+
+export const DomainPickers = {
+    /** @type {Palette.Registration[]} */
+    RegisterPalettes: [
+        ...GROUP_ACTIONS.filter((action) => action.picker).map((action) => groupActionPicker(/** @type {GroupAction & {picker: string}} */ (action))),
+        {
+            // generalized picker over
+            // domain -> urls
+            id: 'domainTabsPicker',
+            populateFunc: populateDomainTabsPicker,
+            prefix: '#',
+            opts: {
+                title: 'Domains',
+                populateBehavior: ['OnShow'],
+                initialSortFunc: DomainPickerSortFunc,
+                actions: groupPaletteActions(),
+                keymap: { 'ctrl+g': 'cycleTabGrouping' },
+                preview: domainTabsPreview,
+                hotkey: { modifiers: 'alt shift', key: 'd', suppressOriginal: true },
+            },
+        },
+        {
+            id: 'openTabsPicker',
+            populateFunc: openTabsPickerPopulateFunc,
+            prefix: '@',
+            opts: {
+                title: 'Open tabs',
+                actions: groupPaletteActions(),
+                populateBehavior: ['OnShow'],
+                frecency: false, // tabs come and go; their titles make poor keys
+                preview: openTabPreview,
+                width: 90,
+                hotkey: { modifiers: 'alt shift', key: 'l', suppressOriginal: true },
+            },
+        },
+    ],
+}
@@ -0,0 +1,47 @@
+/**
+ * Formatting helpers shared by the picker modules.
+ */
+
+/**
+ * @param {number} timestamp - ms since the epoch
+ * @returns {string} e.g. "5 minutes ago"
+ */
+export function formatTimeAgo(timestamp) {
+    const seconds = Math.round((timestamp - Date.now()) / 1000)
+    const rtf = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' })
+    /** @type {[Intl.RelativeTimeFormatUnit, number][]} */
+    const units = [
+        ['day', 86400],
+        ['hour', 3600],
+        ['minute', 60],
+    ]
+    for (const [unit, size] of units) {
+        if (Math.abs(seconds) >= size) return rtf.format(Math.round(seconds / size), unit)
+    }
+    return rtf.format(seconds, 'second')
+}
+
+/**
+ * Append a line of text to a preview pane.
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {string} [className='cp-preview-text']
+ */
+export function appendPreviewLine(container, text, className = 'cp-preview-text') {
+    const line = container.ownerDocument.createElement('div')
+    line.className = className
+    line.textContent = text
+    container.appendChild(line)
+}
+
+/**
+ * @param {string} url
+ * @returns {string} its host, or `''` for urls without one (`about:`, `file:`, ...)
+ */
+export function hostOf(url) {
+    try {
+        return Services.io.newURI(url).asciiHost
+    } catch {
+        return ''
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Remembers which entries are run from which palette, so frequently and recently
+ * used entries can be ranked first. Shared by every window; persisted to
+ * `<resources>/commandPaletteFrecency.json`, next to `commandPaletteConfig.json`.
+ */
+
+import * as UC_API from 'chrome://userchromejs/content/uc_api.sys.mjs'
+import { clearTimeout, setTimeout } from 'resource://gre/modules/Timer.sys.mjs'
+
+const FRECENCY_FILE = 'commandPaletteFrecency.json'
+/** writes are batched; runs within this many ms are saved together */
+const SAVE_DELAY = 1000
+/** how many recent runs are kept per entry to weigh recency */
+const MAX_VISITS = 10
+
+const DAY = 24 * 60 * 60 * 1000
+/** `[max age in days, weight]`, after the buckets Places uses for url frecency */
+const RECENCY_BUCKETS = [
+    [4, 100],
+    [14, 70],
+    [31, 50],
+    [90, 30],
+]
+const OLD_VISIT_WEIGHT = 10
+
+/**
+ * @typedef {Object} FrecencyRecord
+ * @property {number}   count  - total number of runs
+ * @property {number[]} visits - timestamps (ms) of the most recent runs, oldest first
+ */
+
+/** @type {Object<string, Object<string, FrecencyRecord>>} palette id → entry key → record */
+const records = (function () {
+    try {
+        const fsResult = UC_API.FileSystem.readFileSync(FRECENCY_FILE)
+        if (fsResult?.isContent?.()) {
+            return JSON.parse(fsResult.content(false))
+        }
+    } catch (e) {
+        console.error(`Failed to load or parse ${FRECENCY_FILE}`, e)
+    }
+    return {} // no file yet
+})()
+
+/** @type {ReturnType<typeof setTimeout>|null} */
+let saveTimer = null
+
+function scheduleSave() {
+    if (saveTimer !== null) clearTimeout(saveTimer)
+    saveTimer = setTimeout(() => {
+        saveTimer = null
+        UC_API.FileSystem.writeFile(FRECENCY_FILE, JSON.stringify(records)).catch((/** @type {Error} */ e) => {
+            console.error(`Failed to write ${FRECENCY_FILE}`, e)
+        })
+    }, SAVE_DELAY)
+}
+
+/** @param {number} timestamp */
+function visitWeight(timestamp) {
+    const age = (Date.now() - timestamp) / DAY
+    const bucket = RECENCY_BUCKETS.find(([maxAge]) => age <= maxAge)
+    return bucket ? bucket[1] : OLD_VISIT_WEIGHT
+}
+
+export const Frecency = {
+    /**
+     * Record that an entry was run.
+     * @param {string} paletteId
+     * @param {string} key - the entry's id (or title, for entries without one)
+     */
+    record(paletteId, key) {
+        const palette = (records[paletteId] ??= {})
+        const record = (palette[key] ??= { count: 0, visits: [] })
+        record.count++
+        record.visits.push(Date.now())
+        if (record.visits.length > MAX_VISITS) record.visits.splice(0, record.visits.length - MAX_VISITS)
+        scheduleSave()
+    },
+
+    /**
+     * Frequency × recency: the run count, weighted by how recent the sampled runs are.
+     * @param {string} paletteId
+     * @param {string} key
+     * @returns {number} `0` for entries that were never run.
+     */
+    score(paletteId, key) {
+        const record = records[paletteId]?.[key]
+        if (!record || record.visits.length === 0) return 0
+        const weights = record.visits.reduce((sum, timestamp) => sum + visitWeight(timestamp), 0)
+        return (record.count * weights) / record.visits.length
+    },
+
+    /**
+     * Drop everything recorded about an entry.
+     * @param {string} paletteId
+     * @param {string} key
+     */
+    forget(paletteId, key) {
+        if (!records[paletteId]?.[key]) return
+        delete records[paletteId][key]
+        if (Object.keys(records[paletteId]).length === 0) delete records[paletteId]
+        scheduleSave()
+    },
+}
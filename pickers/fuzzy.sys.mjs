@@ -0,0 +1,348 @@
+/**
+ * fzf/telescope-style scoring used by `Palette` for filtering and highlighting.
+ *
+ * Both matchers return the indices of the matched characters, so the renderer
+ * highlights exactly what was scored instead of re-deriving a match.
+ */
+
+/**
+ * @typedef {Object} FuzzyMatch
+ * @property {number}   score     - Higher is better. Only comparable between matches for the same query.
+ * @property {number[]} positions - Indices into the text of the matched characters, ascending; an astral character (`'😀'`) is one position, its first code unit.
+ */
+
+const SCORE_MATCH = 16
+const SCORE_GAP_START = -3
+const SCORE_GAP_EXTENSION = -1
+
+/** after whitespace or punctuation such as `-` or `_` */
+const BONUS_BOUNDARY = 8
+/** after a path or url separator: `/ . : ? & = #` */
+const BONUS_PATH = 9
+/** `camelCase` humps and letter → digit transitions */
+const BONUS_CAMEL = 7
+/** every character of a consecutive run gets at least this */
+const BONUS_CONSECUTIVE = -(SCORE_GAP_START + SCORE_GAP_EXTENSION)
+/** the first query character counts its boundary bonus this many times */
+const BONUS_FIRST_CHAR_MULTIPLIER = 2
+
+/** longer texts are only matched up to this length, to bound the cost of scoring urls */
+const MAX_TEXT_LENGTH = 1024
+
+const CHAR_WHITE = 0
+const CHAR_PATH = 1
+const CHAR_LOWER = 2
+const CHAR_UPPER = 3
+const CHAR_DIGIT = 4
+const CHAR_OTHER = 5
+
+/**
+ * @param {string} c - a single character
+ * @returns {number}
+ */
+function charClass(c) {
+    if (c >= 'a' && c <= 'z') return CHAR_LOWER
+    if (c >= 'A' && c <= 'Z') return CHAR_UPPER
+    if (c >= '0' && c <= '9') return CHAR_DIGIT
+    if ('/.:?&=#'.includes(c)) return CHAR_PATH
+    if (/\s/.test(c) || '-_,;|()[]{}<>"\''.includes(c)) return CHAR_WHITE
+    // non-ascii letters are treated as lowercase word characters
+    return c.toLowerCase() !== c.toUpperCase() ? CHAR_LOWER : CHAR_OTHER
+}
+
+/**
+ * Bonus for matching the character at `idx`, based on what precedes it.
+ * @param {string} text
+ * @param {number} idx
+ * @returns {number}
+ */
+function bonusAt(text, idx) {
+    const cur = charClass(text[idx])
+    if (cur === CHAR_WHITE || cur === CHAR_PATH || cur === CHAR_OTHER) return 0
+    const prev = idx === 0 ? CHAR_WHITE : charClass(text[idx - 1])
+    if (prev === CHAR_PATH) return BONUS_PATH
+    if (prev === CHAR_WHITE || prev === CHAR_OTHER) return BONUS_BOUNDARY
+    if (prev === CHAR_LOWER && cur === CHAR_UPPER) return BONUS_CAMEL
+    if (prev !== CHAR_DIGIT && cur === CHAR_DIGIT) return BONUS_CAMEL
+    return 0
+}
+
+/**
+ * Lowercase `text` one character at a time, remembering where each lowercase
+ * character came from: lowercasing can lengthen a string (`'İ'` → `'i̇'`).
+ * @param {string} text
+ * @returns {{lower: string, origin: number[]}} `origin[j]` is the index into `text` of `lower[j]`
+ */
+function foldCase(text) {
+    let lower = ''
+    /** @type {number[]} */
+    const origin = []
+    let idx = 0
+    for (const c of text) {
+        const folded = c.toLowerCase()
+        lower += folded
+        for (let k = 0; k < folded.length; k++) origin.push(idx)
+        idx += c.length
+    }
+    return { lower, origin }
+}
+
+/**
+ * Indices into the original text of `lower.slice(start, start + length)`.
+ * @param {number[]} origin - from `foldCase`
+ * @param {number} start
+ * @param {number} length
+ * @returns {number[]} ascending, each index once
+ */
+function originalPositions(origin, start, length) {
+    return [...new Set(origin.slice(start, start + length))]
+}
+
+/**
+ * Score a given set of matched positions the same way `fuzzyMatch` does.
+ * @param {string} text
+ * @param {number[]} positions - ascending
+ * @returns {number}
+ */
+export function scorePositions(text, positions) {
+    let score = 0
+    positions.forEach((pos, i) => {
+        const bonus = bonusAt(text, pos)
+        if (i === 0) {
+            score += SCORE_MATCH + bonus * BONUS_FIRST_CHAR_MULTIPLIER
+            return
+        }
+        const gap = pos - positions[i - 1] - 1
+        if (gap === 0) {
+            score += SCORE_MATCH + Math.max(bonus, BONUS_CONSECUTIVE)
+        } else {
+            score += SCORE_MATCH + bonus + SCORE_GAP_START + (gap - 1) * SCORE_GAP_EXTENSION
+        }
+    })
+    return score
+}
+
+/**
+ * Match `query` as a subsequence of `text` (case-insensitive), picking the
+ * highest scoring alignment rather than the leftmost one.
+ *
+ * @param {string} query
+ * @param {string} text
+ * @returns {FuzzyMatch|null} `null` if `query` is not a subsequence of `text`.
+ */
+export function fuzzyMatch(query, text) {
+    const q = query.toLowerCase()
+    const m = q.length
+    if (m === 0) return { score: 0, positions: [] }
+    const t = text.slice(0, MAX_TEXT_LENGTH)
+    const { lower, origin } = foldCase(t)
+    const n = lower.length
+
+    // cheap rejection before the O(m·n) pass
+    let qi = 0
+    for (let ti = 0; ti < n && qi < m; ti++) {
+        if (lower[ti] === q[qi]) qi++
+    }
+    if (qi < m) return null
+
+    // score[i * n + j]: best score with query[i] matched at text[j]
+    // from[i * n + j]:  where query[i - 1] was matched on that path
+    const score = new Float64Array(m * n).fill(-Infinity)
+    const from = new Int32Array(m * n).fill(-1)
+    const bonuses = origin.map((idx) => bonusAt(t, idx))
+
+    for (let i = 0; i < m; i++) {
+        // best previous-row match that leaves a gap before the current column
+        let gapScore = -Infinity
+        let gapFrom = -1
+        for (let j = i; j < n; j++) {
+            if (i > 0 && j >= 2) {
+                const extended = gapScore + SCORE_GAP_EXTENSION
+                const opened = score[(i - 1) * n + j - 2] + SCORE_GAP_START
+                if (opened >= extended) {
+                    gapScore = opened
+                    gapFrom = j - 2
+                } else {
+                    gapScore = extended
+                }
+            }
+            if (lower[j] !== q[i]) continue
+
+            const cell = i * n + j
+            if (i === 0) {
+                score[cell] = SCORE_MATCH + bonuses[j] * BONUS_FIRST_CHAR_MULTIPLIER
+                continue
+            }
+            const consecutive = score[(i - 1) * n + j - 1] + SCORE_MATCH + Math.max(bonuses[j], BONUS_CONSECUTIVE)
+            const gapped = gapScore + SCORE_MATCH + bonuses[j]
+            if (consecutive >= gapped && consecutive > -Infinity) {
+                score[cell] = consecutive
+                from[cell] = j - 1
+            } else if (gapped > -Infinity) {
+                score[cell] = gapped
+                from[cell] = gapFrom
+            }
+        }
+    }
+
+    let best = -Infinity
+    let end = -1
+    for (let j = m - 1; j < n; j++) {
+        if (score[(m - 1) * n + j] > best) {
+            best = score[(m - 1) * n + j]
+            end = j
+        }
+    }
+    if (end === -1) return null
+
+    const positions = new Array(m)
+    for (let i = m - 1, j = end; i >= 0; i--) {
+        positions[i] = origin[j]
+        j = from[i * n + j]
+    }
+    // characters lowercased into several (`'İ'`) are highlighted once
+    return { score: best, positions: [...new Set(positions)] }
+}
+
+/**
+ * Match `query` as a contiguous substring of `text` (case-insensitive),
+ * picking the best scoring occurrence.
+ *
+ * @param {string} query
+ * @param {string} text
+ * @returns {FuzzyMatch|null} `null` if `text` does not contain `query`.
+ */
+export function exactMatch(query, text) {
+    const q = query.toLowerCase()
+    if (q.length === 0) return { score: 0, positions: [] }
+    const { lower, origin } = foldCase(text)
+
+    /** @type {FuzzyMatch|null} */
+    let best = null
+    for (let pos = lower.indexOf(q); pos !== -1; pos = lower.indexOf(q, pos + 1)) {
+        const positions = originalPositions(origin, pos, q.length)
+        const score = scorePositions(text, positions)
+        if (!best || score > best.score) best = { score, positions }
+    }
+    return best
+}
+
+/**
+ * One operator-qualified term of an extended query; see `parseQuery`.
+ * @typedef {Object} QueryTerm
+ * @property {string} text - the term without its operators, lowercase
+ * @property {'fuzzy'|'exact'|'prefix'|'suffix'|'equal'} kind
+ * @property {boolean} negate - the term must *not* match
+ * @property {string|null} field - restricts the term to one field (e.g. `'sub'`), or `null` for the default fields
+ */
+
+/**
+ * Parse an fzf-style extended query.
+ *
+ * | token          | matches                                  |
+ * | -------------- | ---------------------------------------- |
+ * | `foo`          | fuzzy (or substring, if fuzzy is off)    |
+ * | `'foo`         | substring                                |
+ * | `^foo`         | prefix                                   |
+ * | `foo$`         | suffix                                   |
+ * | `^foo$`        | whole text                               |
+ * | `!foo`         | does not contain (also `!^foo`, `!foo$`) |
+ * | `sub:foo`      | any of the above, scoped to one field    |
+ *
+ * Space-separated terms must all match; terms joined by ` | ` are alternatives,
+ * so `^core go$ | rb$` means "starts with core, and ends with go or rb".
+ * A backslash-escaped space (`\ `) is part of the term.
+ *
+ * @param {string} query
+ * @param {string[]} [fields=[]] - names accepted as `name:` scopes; other `x:` prefixes are plain text (e.g. `about:config`).
+ * @returns {QueryTerm[][]} groups that must all match, each a list of alternatives.
+ */
+export function parseQuery(query, fields = []) {
+    const tokens = query
+        .split(/(?<!\\)\s+/)
+        .filter(Boolean)
+        .map((token) => token.replace(/\\ /g, ' '))
+
+    /** @type {QueryTerm[][]} */
+    const groups = []
+    let joinNext = false
+    tokens.forEach((token) => {
+        if (token === '|') {
+            joinNext = groups.length > 0
+            return
+        }
+        const term = parseTerm(token, fields)
+        if (!term) return
+        if (joinNext) groups[groups.length - 1].push(term)
+        else groups.push([term])
+        joinNext = false
+    })
+    return groups
+}
+
+/**
+ * @param {string} token
+ * @param {string[]} fields
+ * @returns {QueryTerm|null}
+ */
+function parseTerm(token, fields) {
+    let text = token
+    let negate = false
+    /** @type {string|null} */
+    let field = null
+
+    if (text.startsWith('!') && text.length > 1) {
+        negate = true
+        text = text.slice(1)
+    }
+    const colon = text.indexOf(':')
+    if (colon > 0 && colon < text.length - 1 && fields.includes(text.slice(0, colon))) {
+        field = text.slice(0, colon)
+        text = text.slice(colon + 1)
+    }
+
+    /** @type {QueryTerm['kind']} */
+    let kind = negate ? 'exact' : 'fuzzy' // like fzf, `!foo` means "does not contain foo"
+    if (text.startsWith("'") && text.length > 1) {
+        kind = 'exact'
+        text = text.slice(1)
+    } else {
+        const prefix = text.startsWith('^') && text.length > 1
+        const suffix = text.endsWith('$') && text.length > (prefix ? 2 : 1)
+        if (prefix) text = text.slice(1)
+        if (suffix) text = text.slice(0, -1)
+        if (prefix && suffix) kind = 'equal'
+        else if (prefix) kind = 'prefix'
+        else if (suffix) kind = 'suffix'
+    }
+    if (!text) return null
+    return { text: text.toLowerCase(), kind, negate, field }
+}
+
+/**
+ * Match a single term against `text`, ignoring `term.negate` and `term.field`.
+ * @param {QueryTerm} term
+ * @param {string} text
+ * @param {boolean} [fuzzy=true] - if `false`, plain terms match as substrings.
+ * @returns {FuzzyMatch|null}
+ */
+export function matchTerm(term, text, fuzzy = true) {
+    const { lower, origin } = foldCase(text)
+    /** @param {number} start - index into `lower` */
+    const range = (start) => {
+        const positions = originalPositions(origin, start, term.text.length)
+        return { score: scorePositions(text, positions), positions }
+    }
+    switch (term.kind) {
+        case 'fuzzy':
+            return fuzzy ? fuzzyMatch(term.text, text) : exactMatch(term.text, text)
+        case 'exact':
+            return exactMatch(term.text, text)
+        case 'prefix':
+            return lower.startsWith(term.text) ? range(0) : null
+        case 'suffix':
+            return lower.endsWith(term.text) ? range(lower.length - term.text.length) : null
+        case 'equal':
+            return lower === term.text ? range(0) : null
+    }
+}
@@ -0,0 +1,66 @@
+import { assertEquals } from '@std/assert'
+
+import { exactMatch, fuzzyMatch, matchTerm, parseQuery } from './fuzzy.sys.mjs'
+
+Deno.test('fuzzyMatch: positions index the original text when lowercasing lengthens it', () => {
+    // 'İ'.toLowerCase() is 'i' followed by a combining dot
+    assertEquals(fuzzyMatch('i', 'İstanbul')?.positions, [0])
+    assertEquals(fuzzyMatch('bul', 'İstanbul')?.positions, [5, 6, 7])
+    assertEquals(fuzzyMatch('ist', 'Tabs in İstanbul')?.positions, [8, 9, 10])
+})
+
+Deno.test('fuzzyMatch: astral characters before a match', () => {
+    assertEquals(fuzzyMatch('ab', '😀 ab')?.positions, [3, 4])
+    // a matched astral character is one position, at its high surrogate
+    assertEquals(fuzzyMatch('😀', 'a😀b')?.positions, [1])
+    assertEquals(exactMatch('😀b', 'a😀b')?.positions, [1, 3])
+})
+
+Deno.test('exactMatch and anchored terms on non-ascii titles', () => {
+    assertEquals(exactMatch('stan', 'İstanbul')?.positions, [1, 2, 3, 4])
+    const [[suffix]] = parseQuery('bul$')
+    assertEquals(matchTerm(suffix, 'İstanbul')?.positions, [5, 6, 7])
+    const [[prefix]] = parseQuery('^i̇s')
+    assertEquals(matchTerm(prefix, 'İstanbul')?.positions, [0, 1])
+})
+
+Deno.test('parseQuery: term operators', () => {
+    const term = (/** @type {string} */ query) => parseQuery(query)[0][0]
+    assertEquals(term('foo'), { text: 'foo', kind: 'fuzzy', negate: false, field: null })
+    assertEquals(term("'foo"), { text: 'foo', kind: 'exact', negate: false, field: null })
+    assertEquals(term('^foo'), { text: 'foo', kind: 'prefix', negate: false, field: null })
+    assertEquals(term('foo$'), { text: 'foo', kind: 'suffix', negate: false, field: null })
+    assertEquals(term('^foo$'), { text: 'foo', kind: 'equal', negate: false, field: null })
+    assertEquals(term('!foo'), { text: 'foo', kind: 'exact', negate: true, field: null })
+    assertEquals(term('!^foo'), { text: 'foo', kind: 'prefix', negate: true, field: null })
+})
+
+Deno.test('parseQuery: groups and alternatives', () => {
+    const texts = (/** @type {string} */ query) => parseQuery(query).map((group) => group.map((term) => term.text))
+    assertEquals(texts('^core go$ | rb$'), [['core'], ['go', 'rb']])
+    // only a free-standing `|` separates alternatives
+    assertEquals(texts('a|b'), [['a|b']])
+    assertEquals(texts('| a'), [['a']])
+    assertEquals(texts('new\\ tab  bar'), [['new tab'], ['bar']])
+})
+
+Deno.test('parseQuery: field scopes', () => {
+    const [[scoped], [plain]] = parseQuery('sub:GitHub about:config', ['sub'])
+    assertEquals(scoped, { text: 'github', kind: 'fuzzy', negate: false, field: 'sub' })
+    assertEquals(plain, { text: 'about:config', kind: 'fuzzy', negate: false, field: null })
+    assertEquals(parseQuery('!sub:^docs', ['sub'])[0][0], { text: 'docs', kind: 'prefix', negate: true, field: 'sub' })
+})
+
+Deno.test('matchTerm: operators', () => {
+    const match = (/** @type {string} */ query, /** @type {string} */ text) => matchTerm(parseQuery(query)[0][0], text)?.positions ?? null
+    assertEquals(match('nt', 'New Tab'), [0, 4])
+    assertEquals(match("'nt", 'New Tab'), null)
+    assertEquals(match("'w\\ t", 'New Tab'), [2, 3, 4])
+    assertEquals(match('^new', 'New Tab'), [0, 1, 2])
+    assertEquals(match('^tab', 'New Tab'), null)
+    assertEquals(match('tab$', 'New Tab'), [4, 5, 6])
+    assertEquals(match('^new\\ tab$', 'New Tab'), [0, 1, 2, 3, 4, 5, 6])
+    // negation is applied by the caller; matchTerm reports the plain match
+    assertEquals(match('!tab', 'New Tab'), [4, 5, 6])
+    assertEquals(matchTerm(parseQuery('nt')[0][0], 'New Tab', false), null)
+})
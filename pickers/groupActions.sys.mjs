@@ -0,0 +1,183 @@
+/**
+ * Bulk actions on tabs, declared once and offered wherever the domain pickers
+ * list tabs: on groups of tabs (see `tabGrouping.sys.mjs`), on the tabs listed
+ * under a group, and on single open tabs. A new bulk action is one more entry:
+ *
+ * ```js
+ * { name: 'Duplicate tabs', run: (tabs) => tabs.forEach((tab) => tab.ownerGlobal.gBrowser.duplicateTab(tab)) }
+ * ```
+ */
+
+/** @import { Palette } from './lib.sys.mjs' */
+import * as UC_API from 'chrome://userchromejs/content/uc_api.sys.mjs'
+import { BrowserWindowTracker } from 'resource:///modules/BrowserWindowTracker.sys.mjs'
+
+/**
+ * @typedef {Object} GroupAction
+ * @property {string} name - shown in the actions menu (Ctrl+K)
+ * @property {string} [key] - see `Palette.Action`
+ * @property {string} [confirm] - verb of the question asked before acting on more than one tab, e.g. `'close'`
+ * @property {boolean} [keepOpen=false] - keep the picker open, dropping entries whose tabs are all gone; otherwise it is hidden first
+ * @property {string} [picker] - also register a picker of tab groups with this id, whose Enter runs the action
+ * @property {(tabs: Mocked.BrowserTab[], win: Window, labels: string[]) => void|Promise<void>} run
+ * `labels` are the titles of the chosen entries, e.g. the domains
+ */
+
+/** @typedef {Palette.Entry & {matchingTabs?: Mocked.BrowserTab[], tab?: Mocked.BrowserTab}} TabsEntry */
+
+/**
+ * @param {TabsEntry} entry - a group (with `matchingTabs`) or a single tab (with `tab`)
+ * @returns {Mocked.BrowserTab[]}
+ */
+function tabsOf(entry) {
+    return entry.matchingTabs ?? (entry.tab ? [entry.tab] : [])
+}
+
+/** @param {Mocked.BrowserTab} tab */
+const isClosed = (tab) => tab.closing || !tab.isConnected
+
+/**
+ * @param {(win: Window) => void} onWindowReady - Callback function executed with new window when ready
+ */
+function withNewWindow(onWindowReady) {
+    BrowserWindowTracker.promiseOpenWindow().then((/** @type {Window} */ newWin) => {
+        onWindowReady(newWin)
+        newWin.focus()
+    })
+}
+
+/**
+ * @param {Mocked.BrowserTab[]} tabs
+ */
+function moveTabsToNewWindow(tabs) {
+    /** @param {Window} win */
+    const removeDefaultTab = (win) => {
+        const tab = win.gBrowser.tabs[0]
+        if (tab?.linkedBrowser.currentURI.spec === 'about:blank') {
+            win.gBrowser.removeTab(tab)
+        }
+    }
+    /**
+     * @param {Window} win
+     * @param {Mocked.BrowserTab[]} tabs
+     **/
+    const fixWindowTabs = (win, tabs) => {
+        tabs.forEach((tab, index) => {
+            win.gBrowser.adoptTab(tab, true)
+            if (index === 0) removeDefaultTab(win)
+        })
+    }
+    withNewWindow((newWin) => {
+        fixWindowTabs(newWin, tabs)
+    })
+}
+
+/**
+ * Ask which open window to move the tabs to, then move them there.
+ * @param {Mocked.BrowserTab[]} tabs
+ * @param {Window} win
+ */
+function moveTabsToChosenWindow(tabs, win) {
+    const windows = UC_API.Windows.getAll(true)
+    const labels = windows.map((w, i) => `Window ${i + 1}: ${w.gBrowser.selectedTab.label}`)
+    const choice = { value: windows.indexOf(win) }
+    if (!Services.prompt.select(win, 'Move tabs', `Move ${tabs.length} tabs to`, labels, choice)) return
+    const target = windows[choice.value]
+    tabs.filter((tab) => tab.ownerGlobal !== target).forEach((tab) => target.gBrowser.adoptTab(tab))
+    target.focus()
+}
+
+/**
+ * Put the tabs in a new tab group of the current window, named after the chosen entries.
+ * @param {Mocked.BrowserTab[]} tabs
+ * @param {Window} win
+ * @param {string[]} labels
+ */
+function addToTabGroup(tabs, win, labels) {
+    if (typeof win.gBrowser.addTabGroup !== 'function') throw new Error('this Firefox has no tab groups')
+    const grouped = tabs
+        .filter((tab) => !tab.pinned) // pinned tabs can't be grouped
+        .map((tab) => (tab.ownerGlobal === win ? tab : win.gBrowser.adoptTab(tab)))
+        .filter(Boolean)
+    if (grouped.length > 0) win.gBrowser.addTabGroup(grouped, { label: labels.join(', ') })
+}
+
+/** @type {GroupAction[]} */
+export const GROUP_ACTIONS = [
+    {
+        name: 'Close tabs',
+        key: 'ctrl+c',
+        confirm: 'close',
+        keepOpen: true,
+        picker: 'closeAllByDomainPicker',
+        run: (tabs) => tabs.forEach((tab) => tab.ownerGlobal.gBrowser.removeTab(tab)),
+    },
+    {
+        name: 'Move tabs to a new window',
+        key: 'ctrl+m',
+        confirm: 'move',
+        picker: 'moveAllByDomainToNewWindow',
+        run: (tabs) => moveTabsToNewWindow(tabs),
+    },
+    { name: 'Move tabs to another window…', run: moveTabsToChosenWindow },
+    {
+        name: 'Reload tabs',
+        key: 'ctrl+r',
+        keepOpen: true,
+        run: (tabs) => tabs.forEach((tab) => tab.ownerGlobal.gBrowser.reloadTab(tab)),
+    },
+    { name: 'Pin tabs', keepOpen: true, run: (tabs) => tabs.forEach((tab) => tab.ownerGlobal.gBrowser.pinTab(tab)) },
+    { name: 'Unpin tabs', keepOpen: true, run: (tabs) => tabs.forEach((tab) => tab.ownerGlobal.gBrowser.unpinTab(tab)) },
+    {
+        name: 'Mute tabs',
+        keepOpen: true,
+        run: (tabs) => tabs.filter((tab) => !tab.muted).forEach((tab) => tab.toggleMuteAudio()),
+    },
+    {
+        name: 'Unmute tabs',
+        keepOpen: true,
+        run: (tabs) => tabs.filter((tab) => tab.muted).forEach((tab) => tab.toggleMuteAudio()),
+    },
+    {
+        // the selected tab of each window stays loaded
+        name: 'Unload tabs',
+        keepOpen: true,
+        run: (tabs) => tabs.forEach((tab) => tab.ownerGlobal.gBrowser.discardBrowser(tab)),
+    },
+    { name: 'Bookmark tabs…', run: (tabs, win) => win.PlacesCommandHook.bookmarkTabs(tabs) },
+    { name: 'Add tabs to a tab group', run: addToTabGroup },
+]
+
+/**
+ * Run a group action on the tabs of the given entries.
+ * @param {GroupAction} action
+ * @param {Window} win
+ * @param {TabsEntry[]} entries - groups or single tabs
+ * @param {Palette} palette
+ */
+export async function runGroupAction(action, win, entries, palette) {
+    const tabs = entries.flatMap(tabsOf).filter((tab) => !isClosed(tab))
+    const labels = entries.map((entry) => entry.title)
+    if (action.confirm && tabs.length > 1) {
+        const title = `${action.confirm[0].toUpperCase()}${action.confirm.slice(1)} all tabs matching '${labels.join("', '")}' ?`
+        if (!Services.prompt.confirm(win, title, `${action.confirm} ${tabs.length} tabs?`)) return
+    }
+    if (!action.keepOpen) palette.hide()
+    await action.run(tabs, win, labels)
+    if (!action.keepOpen) return
+    entries.filter((entry) => tabsOf(entry).every(isClosed)).forEach((entry) => palette.remove(entry))
+    // a group's tabs are showing: bring the groups underneath up to date for going back
+    if (palette.stages.length > 0) palette.refresh()
+}
+
+/**
+ * `GROUP_ACTIONS` as palette actions, for entries listing groups or single tabs.
+ * @returns {Palette.Action[]}
+ */
+export function groupPaletteActions() {
+    return GROUP_ACTIONS.map((action) => ({
+        name: action.name,
+        key: action.key,
+        run: (win, entries, palette) => runGroupAction(action, win, entries, palette),
+    }))
+}
@@ -3,25 +3,127 @@
  * userchrome meant to be used by other scripts
  */
 
-// TODO: set cursor pos on init
+/** @import { QueryTerm } from './fuzzy.sys.mjs' */
+import { Frecency } from './frecency.sys.mjs'
+import { matchTerm, parseQuery } from './fuzzy.sys.mjs'
 
-// TODO: Add 'onQuery' to populate behavior somehow / don't populate anything when resultText.len < 2
+// TODO: set cursor pos on init
 
 // TODO: Add 'Anchor' to anchor to docShell or something else
 
 // TODO:  @param {Palette.SorterFunc} populateFunc
 
+/** Height in px of one result row, including the gap to the next one. */
+const ROW_HEIGHT = 54
+
+/** a subtitle match ranks below an equally good title match */
+const SUBTITLE_PENALTY = 8
+
+/** a keyword match ranks below an equally good subtitle match */
+const KEYWORDS_PENALTY = 12
+
+/** placeholder of palettes that don't set `opts.placeholder` */
+export const DEFAULT_PLACEHOLDER = 'Type a command...'
+
+/** names usable as `name:term` in queries, scoping the term to one entry field */
+export const QUERY_FIELDS = ['title', 'sub', 'id', 'kw']
+
+/** milliseconds a notice replaces the breadcrumb in the hint */
+const NOTICE_DURATION = 2000
+
+/** scales log2(frecency) into match-score units; a frecency of 100 is worth about two matched characters */
+const FRECENCY_BOOST = 4
+
+/** @type {Object<string, string>} chord key names → `KeyboardEvent.key` (lowercase) */
+const KEY_ALIASES = { esc: 'escape', space: ' ', up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright', del: 'delete', return: 'enter' }
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta']
+/** `KeyboardEvent.key` of keys that are only pressed together with others */
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'AltGraph', 'Meta']
+
+/**
+ * Shift is ignored for symbol keys, since it is needed to type many of them (`?` is `shift+/`).
+ * @param {string} key - lowercase `KeyboardEvent.key`
+ * @returns {boolean}
+ */
+function isSymbolKey(key) {
+    return key.length === 1 && key.toLowerCase() === key.toUpperCase() && key !== ' '
+}
+
+/**
+ * Canonical form of a chord string, e.g. `'Shift+Ctrl+C'` → `'ctrl+shift+c'`.
+ * @param {string} chord
+ * @returns {string}
+ */
+function normalizeChord(chord) {
+    const parts = chord.toLowerCase().split('+')
+    // `ctrl++` binds the plus key
+    const plus = parts.length > 1 && parts.at(-1) === ''
+    const rawKey = plus ? '+' : /** @type {string} */ (parts.at(-1))
+    const key = KEY_ALIASES[rawKey] ?? rawKey
+    const modifiers = parts.slice(0, plus ? -2 : -1)
+    return [...MODIFIERS.filter((mod) => modifiers.includes(mod) && !(mod === 'shift' && isSymbolKey(key))), key].join('+')
+}
+
+/**
+ * The canonical chord of a keyboard event; see `normalizeChord`.
+ * @param {KeyboardEvent} e
+ * @returns {string}
+ */
+function eventChord(e) {
+    const key = e.key.toLowerCase()
+    const pressed = { ctrl: e.ctrlKey, alt: e.altKey, shift: e.shiftKey && !isSymbolKey(key), meta: e.metaKey }
+    return [...MODIFIERS.filter((mod) => pressed[/** @type {'ctrl'} */ (mod)]), key].join('+')
+}
+
+/**
+ * Default bindings of every palette; `opts.keymap` and the config file override these.
+ * @type {Palette.Keymap}
+ */
+const DEFAULT_KEYMAP = {
+    escape: 'back',
+    backspace: 'previousStage',
+    up: 'selectPrevious',
+    down: 'selectNext',
+    'ctrl+p': 'selectPrevious',
+    'ctrl+n': 'selectNext',
+    tab: 'selectNext',
+    'shift+tab': 'selectPrevious',
+    enter: 'run',
+    'ctrl+space': 'toggleMark',
+    'alt+a': 'markAll',
+    'alt+i': 'invertMarks',
+    'alt+u': 'clearMarks',
+    'ctrl+k': 'actions',
+    'shift+delete': 'forget',
+    '?': 'help',
+    f1: 'help',
+}
+
 /**
  * A function used to populate commands for the palette.
  * Called on `show` and optionally on `init` to retrieve an array of commands.
  * behavior of when this is called is modulated by the palette instances' opts.
  *
- * @typedef {function(Palette): (Palette.Entry[] | Promise<Palette.Entry[]>)} Palette.PopulateFunc
+ * A populate function may also return an async iterable (e.g. an `async function*`) yielding
+ * entries or batches of entries; these are shown as they arrive, with a loading indicator until the stream ends.
+ *
+ * @typedef {function(Palette, Palette.PopulateContext=): (Palette.Entry[] | Promise<Palette.Entry[]> | AsyncIterable<Palette.Entry | Palette.Entry[]>)} Palette.PopulateFunc
  * @param {Palette} palette The palette instance for which commands are being populated.
+ * @param {Palette.PopulateContext} [context] The query being populated for, and a signal to abandon the work.
  * @returns {Palette.Entry[]} An array of Command objects to be displayed in the palette.
  *
  */
 
+/**
+ * Passed to every `populateFunc` call.
+ * With `populateBehavior: ['OnQuery']`, `query` is the current input and `signal`
+ * is aborted as soon as a newer query (or hiding the palette) makes the result stale.
+ *
+ * @typedef {Object} Palette.PopulateContext
+ * @property {string} query - The trimmed input value; `''` outside of "OnQuery" population.
+ * @property {AbortSignal} signal - Aborted when the result will no longer be rendered.
+ */
+
 /**
  * @callback Palette.CustomBindingHandler
  * @param {KeyboardEvent} e
@@ -45,6 +147,25 @@
  * @property {string}                id          - Unique identifier for the registration.
  * @property {Palette.PopulateFunc}  populateFunc - Function used to populate the palette.
  * @property {Palette.Options}      [opts]       - Optional configuration options.
+ * @property {string}               [prefix]     - Makes the picker a source of the unified palette (see `unified.sys.mjs`):
+ * a query starting with this prefix (e.g. `'>'`, `'@'`, `'about:'`) searches only this picker's entries.
+ */
+
+/**
+ * A key combination that shows a palette, see `opts.hotkey`.
+ * @typedef {Object} Palette.Hotkey
+ * @property {string} modifiers - Space-separated: `alt`, `shift`, `ctrl`, `meta`, or `accel` (Ctrl, or Cmd on macOS).
+ * @property {string} key - A single character.
+ * @property {boolean} [suppressOriginal=false] - Disable a browser shortcut bound to the same chord.
+ */
+
+/**
+ * One of the sources entries can come from, see `opts.sources`.
+ * @typedef {Object} Palette.Source
+ * @property {string} id        - Matched against `entry.source`.
+ * @property {string} [prefix]  - A query starting with this is routed to the source only.
+ * @property {string} [label]   - Shown as the entries' badge and in the hint; defaults to `id`.
+ * @property {boolean} [fuzzy]  - Overrides `opts.fuzzy` for the source's entries.
  */
 
 /**
@@ -52,21 +173,144 @@
  * @callback Palette.RunFunc
  * @param {Window} win
  * @param {Palette.Entry & any} entry   - Accepts anything that includes `Palette.Entry`.
+ * @param {Palette.Entry[]} path      - Entries chosen in the earlier stages of a chained picker, outermost first; empty at the top level.
  * * @returns {void|Promise<void>}
  */
 
+/**
+ * Called instead of `run` when an entry with a `next` hook is chosen: returns the follow-up
+ * entries (or a stage with its own breadcrumb), which replace the list in the same dialog.
+ * Escape (or Backspace with an empty query) goes back to the previous stage.
+ * With several entries marked, the first one's `next` opens the stage, and the entry chosen
+ * there runs once for each marked entry, which is then the last entry of `path`.
+ *
+ * example:
+ *
+ * ```js
+ *  next: (win, entry) => ({
+ *      title: 'to which window?',
+ *      entries: windows.map((w) => ({ title: w.document.title, run: (win, target, [domain]) => moveTabs(domain, w) })),
+ *  })
+ * ```
+ *
+ * @callback Palette.NextFunc
+ * @param {Window} win
+ * @param {Palette.Entry & any} entry - The chosen entry.
+ * @param {Palette.Entry[]} path      - Entries chosen in earlier stages, outermost first (not including `entry`).
+ * @returns {Palette.Entry[]|Palette.Stage|Promise<Palette.Entry[]|Palette.Stage>}
+ */
+
+/**
+ * @typedef {Object} Palette.Stage
+ * @property {string} [title] - Breadcrumb shown in the hint; defaults to the chosen entry's title.
+ * @property {Palette.Entry[]} entries
+ * @property {boolean} [paletteActions=false] - Offer the palette's `actions` on these entries too;
+ * by default they only apply to the palette's own list.
+ */
+
+/**
+ * Maps chords (e.g. `'ctrl+c'`, `'alt+enter'`, `'f1'`) to what they do:
+ * the name of a palette operation (see `Palette.operations`), `'action:<name>'` to run
+ * one of the selected entry's actions, a callback, or `null` to unbind the chord.
+ *
+ * example:
+ *
+ * ```js
+ *  keymap: {
+ *      'ctrl+c': null, // leave ctrl+c to copy
+ *      'ctrl+shift+c': 'action:Close tabs',
+ *      'ctrl+j': 'selectNext',
+ *      'ctrl+o': (palette, e) => { ... },
+ *  }
+ * ```
+ *
+ * @typedef {Object<string, string|Palette.KeymapHandler|null>} Palette.Keymap
+ */
+
+/**
+ * @callback Palette.KeymapHandler
+ * @param {Palette} palette
+ * @param {KeyboardEvent} e
+ * @returns {void|false} `false` if the key was not handled and should get its default behavior.
+ */
+
+/**
+ * A named operation that keymaps can bind to.
+ * @typedef {Object} Palette.Operation
+ * @property {string}                 description - Shown in the help overlay.
+ * @property {Palette.KeymapHandler}  run
+ */
+
+/**
+ * A named secondary action, listed in the selected entry's actions menu (Ctrl+K).
+ *
+ * example:
+ *
+ * ```js
+ *  actions: [
+ *      { name: 'Close tabs', key: 'ctrl+d', run: (win, entries, palette) => { ... } },
+ *  ]
+ * ```
+ *
+ * @typedef {Object} Palette.Action
+ * @property {string}             name  - Shown in the actions menu.
+ * @property {string}             [key] - Chord that runs the action without opening the menu, e.g. `'ctrl+m'` or `'alt+enter'`.
+ * Equivalent to binding `'action:<name>'` in the keymap; a keymap entry for the same chord takes precedence.
+ * @property {Palette.ActionFunc} run
+ */
+
+/**
+ * @callback Palette.ActionFunc
+ * @param {Window} win
+ * @param {(Palette.Entry & any)[]} entries - The marked entries, or the selected entry if none are marked.
+ * @param {Palette} palette - The palette stays open; call `palette.hide()` if the action should close it.
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * Renders a preview of the selected entry into the preview pane.
+ * `container` is emptied before each call; `signal` is aborted once the selection
+ * moves on (or the palette hides), so async previews can stop early.
+ * @callback Palette.PreviewFunc
+ * @param {Palette.Entry & any} entry
+ * @param {HTMLElement} container
+ * @param {AbortSignal} signal
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * Observes entries being run, see `Palette.runListeners`.
+ * @callback Palette.RunListener
+ * @param {Palette} palette
+ * @param {Palette.Entry & any} entry
+ * @param {Palette.Entry[]} path - entries chosen in earlier stages, as passed to `run`
+ */
+
+/**
+ * Function type for executing an action over several marked entries at once.
+ * @callback Palette.RunManyFunc
+ * @param {Window} win
+ * @param {(Palette.Entry & any)[]} entries - The marked entries, in list order.
+ * @returns {void|Promise<void>}
+ */
+
 /**
  * Configuration options for the Palette.
  * @typedef {Object} Palette.Options
  * @property {string} [placeholder]
- * @property {number} [maxVisible]
+ * @property {number} [maxVisible] - Number of rows visible without scrolling.
+ * @property {number} [overscan=4] - Rows kept rendered above and below the visible ones, so fast scrolling doesn't show blanks.
  * @property {number|string} [width='min(90vw, 720px)'] - Sets the width.
  * If a number, treated as a percentage of the viewport (e.g., 50 → '50%').
  * If a string, used directly as a CSS width value (e.g., '500px', 'min(90vw, 720px)').
- * @property {number} [minQueryLength=0]
- * @property {boolean} [fuzzy=true] If `true`, enable fuzzy search behavior.
- * @property {("OnInit"|"OnFirstShow"|"OnShow")[]} [populateBehavior=["onFirstShow"]] - An array of one or more strings defining when the element's content should be populated.
- * Possible values are "OnInit", "OnFirstShow", or "OnShow". Defaults to `["onFirstShow"]`.
+ * @property {number} [minQueryLength=0] - With "OnQuery" population, `populateFunc` is not called
+ * (and the list stays empty) until the query is at least this long.
+ * @property {boolean} [fuzzy=true] If `true`, match plain query terms as a subsequence (fzf-style); otherwise as a substring.
+ * Operator terms (`'exact`, `^prefix`, `suffix$`, `!exclude`, `sub:term`, `a | b`) work either way; see `parseQuery`.
+ * @property {("OnInit"|"OnFirstShow"|"OnShow"|"OnQuery")[]} [populateBehavior=["onFirstShow"]] - An array of one or more strings defining when the element's content should be populated.
+ * Possible values are "OnInit", "OnFirstShow", "OnShow", or "OnQuery". Defaults to `["onFirstShow"]`.
+ * "OnQuery" calls `populateFunc` with the current query every time the input changes (see `queryDebounce`).
+ * @property {number} [queryDebounce=150] - Milliseconds to wait after the last keystroke before an "OnQuery" population.
  * @property {string} [title] - The display text for the title.
  * If empty defaults to the Palette instance's `id`.
  * @property {string[]} [hostAllowList] A list of hostnames (e.g., google.com, gemini.google.com) that restrict when the picker UI is enabled. If the current webpage's hostname is not in this list, the picker will not be displayed. This enables context-sensitive display of pickers. cannot be []
@@ -75,8 +319,23 @@
  * when this get called depends on the setting of populateBehavior
  * @property {Parameters<HTMLInputElement['addEventListener']>[]} [customBindings] - Custom event bindings for the input element.
  * WARNING: do not use arrow functions if you need to access Palette's `this` object!
+ * Prefer `keymap` or `actions` for key bindings: they are listed in the help overlay and can be remapped.
  *
  * @property {(p: Palette) => void} [OnAfterInitCallback] - Custom event bindings for the input element.
+ * @property {Palette.Hotkey} [hotkey] - Shows the palette. Attached to every window by `PaletteRegistry`,
+ * which also warns when another palette or a browser shortcut claims the same chord.
+ * @property {boolean} [frecency=true] - If `true`, remember which entries are run and rank frequently/recently used ones first.
+ * Entries are remembered by `id`, or by `title` if they have none. Shift+Delete forgets the selected entry.
+ * @property {Palette.RunManyFunc} [runMany] - Called on Enter when one or more entries are marked.
+ * If not defined, each marked entry's `run` is called in turn.
+ * @property {Palette.Action[]} [actions] - Actions available for every entry, after the entry's own `actions`.
+ * @property {Palette.Keymap} [keymap] - Bindings added to (or, with `null`, removed from) the default keymap.
+ * Press `?` (with an empty query) or F1 in the palette to list the active bindings.
+ * @property {Palette.PreviewFunc} [preview] - Renders the selected entry into a side panel (telescope's previewer).
+ * Entries can override it with their own `preview`. The panel is hidden for entries without a preview.
+ * @property {Palette.Source[]} [sources] - For palettes mixing entries of several sources (see `entry.source`):
+ * a query starting with a source's `prefix` only searches that source; otherwise results are grouped by source,
+ * groups ordered by their best match.
  */
 
 /**
@@ -120,7 +379,22 @@
  * @property {string} [displayTitle] - Optional title that overrides the displayed text; does not influence filtering.
  * @property {string} [subtitle] - Optional subtitle shown below the title (also used for filtering).
  * @property {string} [displaySubtitle] - Optional subtitle that overrides the displayed text; does not influence filtering.
+ * @property {string[]} [keywords] - Also matched by the query (or by `kw:term` only), but not displayed; e.g. a bookmark's tags.
  * @property {Palette.RunFunc} run - Callback executed when the command is selected.
+ * @property {Palette.NextFunc} [next] - If set, choosing the entry opens a follow-up stage instead of calling `run`.
+ * @property {Palette.PreviewFunc} [preview] - Overrides the palette's `preview` for this entry.
+ * @property {Palette.Action[]} [actions] - Secondary actions, listed before the palette's `actions` (Ctrl+K).
+ * @property {boolean} [keepOpen=false] - If `true`, the palette is not hidden before `run` is called.
+ * @property {string} [source] - The `id` of the `opts.sources` entry this came from; shown as a badge.
+ * @property {boolean} [disabled=false] - Shown dimmed; choosing it only says so in the hint (and keeps the palette open).
+ * Marked disabled entries are left out when running several.
+ */
+
+/**
+ * Indices of the characters matched by the current query, as used for highlighting.
+ * @typedef {Object} Palette.MatchPositions
+ * @property {number[]} title    - indices into `entry.title`
+ * @property {number[]} subtitle - indices into `entry.subtitle`
  */
 
 /**
@@ -149,6 +423,18 @@
  * @example
  *
  * ```js
+ * // Example of a PopulateFunc that streams commands in batches:
+ * async function* (palette, { signal }) {
+ *   for (const win of windows) {
+ *     if (signal.aborted) return
+ *     yield await getTabEntries(win);
+ *   }
+ * };
+ * ```
+ *
+ * @example
+ *
+ * ```js
  * // Example of a PopulateFunc that dynamically generates commands:
  * (palette) => {
  *   const dynamicCommands = [];
@@ -182,16 +468,57 @@ export class Palette {
         this.dialog = this.document.createElement('dialog')
         this.input = this.document.createElement('input')
         this.results = this.document.createElement('div')
+        this.resultsSpacer = this.document.createElement('div')
         this.emptyState = this.document.createElement('div')
+        this.loadingIndicator = this.document.createElement('div')
+        this.previewPane = this.document.createElement('div')
+        this.helpOverlay = this.document.createElement('div')
+        /** @type {HTMLStyleElement|null} */
+        this.styleElement = null
 
         /** @type {Palette.Entry[]} */
         this.commands = []
         /** @type {Palette.Entry[]} */
         this.filtered = []
+        /** @type {Set<Palette.Entry>} entries marked for a multi-entry action */
+        this.marked = new Set()
+        /** @type {WeakMap<Palette.Entry, Palette.MatchPositions>} match positions from the last filter pass */
+        this.matchPositions = new WeakMap()
 
         this.selectedIndex = 0
         this.ranOnce = false
 
+        /** @type {Map<number, HTMLElement>} materialized rows, by index into `this.filtered` */
+        this.rows = new Map()
+        /** @type {QueryTerm[][]} the parsed query of the last filter pass */
+        this.queryTerms = []
+        /** @type {Palette.Source|null} the source the query's prefix routes to, if any */
+        this.routedSource = null
+        /** `false` until the mouse has moved past the threshold after showing */
+        this.mouseUnlocked = false
+
+        /** @type {AbortController|null} controller of the population in flight */
+        this.populateController = null
+        /** @type {number|null} pending "OnQuery" population */
+        this.queryTimer = null
+        /** @type {number|null} restores the breadcrumb once a notice has been shown */
+        this.noticeTimer = null
+        /** `true` while a streaming `populateFunc` has not finished */
+        this.loading = false
+
+        /**
+         * Saved states of the lists below the current one (e.g. while an actions menu is open), innermost last.
+         * `entry` is the entry whose `next` hook opened the stage, if any, `chosen` the marked entries it was opened
+         * for (`entry` among them), and `paletteActions` whether the palette's `actions` apply to the stage's entries.
+         * @type {{label: string, entry?: Palette.Entry, chosen: Palette.Entry[], paletteActions: boolean, commands: Palette.Entry[], query: string, selectedIndex: number, selected?: Palette.Entry, marked: Set<Palette.Entry>}[]}
+         */
+        this.stages = []
+
+        /** @type {Palette.Entry|null} entry currently shown in the preview pane */
+        this.previewEntry = null
+        /** @type {AbortController|null} */
+        this.previewController = null
+
         this.populateFunc = async (/** @type {Parameters<Palette.PopulateFunc>} */ ...rest) => {
             // HACK: Ensure the original populateFunc's result is always wrapped in a Promise
             // This makes `this.populateFunc` an async function that can be awaited,
@@ -202,10 +529,13 @@ export class Palette {
         /** @type {Palette.Options} */
         this.options = {
             // default options
-            placeholder: 'Type a command...',
+            placeholder: DEFAULT_PLACEHOLDER,
             maxVisible: 8,
+            overscan: 4,
             minQueryLength: 0,
+            queryDebounce: 150,
             fuzzy: true,
+            frecency: true,
             populateBehavior: ['OnFirstShow'],
             /** If a number, sets the width of the palette to a percentage of the viewport. */
             width: 'min(90vw, 720px)',
@@ -244,6 +574,10 @@ export class Palette {
         if (!doc.body) return
 
         this.mouseState = this._waitForMouseDelta(this._getMousePos())
+        this.mouseUnlocked = false
+        this._resetStages()
+        this.marked.clear()
+        this._updateHint()
 
         if (this.options.hostAllowList) {
             const currentHostname = this.window.gBrowser.selectedTab.linkedBrowser.currentURI.host
@@ -255,16 +589,20 @@ export class Palette {
         if (!this.ranOnce) {
             this.ranOnce = true
             if (this.options.populateBehavior.includes('OnFirstShow')) {
-                this.setCommands(await this.populateFunc(this))
+                await this._populate()
             }
         }
 
         if (this.options.populateBehavior.includes('OnShow')) {
-            this.setCommands(await this.populateFunc(this))
+            await this._populate()
         }
 
         this.dialog.showModal()
         this.input.value = prefill
+        if (this.options.populateBehavior.includes('OnQuery')) {
+            this.setCommands([])
+            this._populateForQuery()
+        }
         this._onQueryChange()
         this._focusInput()
         doc.body.style.overflow = 'hidden'
@@ -272,6 +610,9 @@ export class Palette {
 
     /** Hide the palette. */
     hide() {
+        this._cancelPopulate()
+        this._clearPreview()
+        this._toggleHelp(false)
         if (this.dialog.open) {
             this.dialog.close()
         }
@@ -298,7 +639,7 @@ export class Palette {
     }
     /**
      * Remove a command from this.commands by identifier or index
-     * @param {string|Palette.Entry|number} identifier - command id, command object with an id, or index
+     * @param {string|Palette.Entry|number} identifier - command id, command object, or index
      */
     remove(identifier) {
         // If a number is provided, treat it as an index
@@ -309,6 +650,12 @@ export class Palette {
             this.setCommands(this.commands)
             return
         }
+        // entries without an id can still be removed by reference
+        if (typeof identifier === 'object' && this.commands.includes(identifier)) {
+            this.commands.splice(this.commands.indexOf(identifier), 1)
+            this.setCommands(this.commands)
+            return
+        }
         const id = typeof identifier === 'string' ? identifier : identifier?.id
         if (!id) return
         const index = this.commands.findIndex((obj) => obj.id === id)
@@ -324,17 +671,179 @@ export class Palette {
      */
     setCommands(list) {
         this.commands = Array.isArray(list) ? list.slice() : []
-        if (this.options.initialSortFunc && typeof this.options.initialSortFunc === 'function') {
+        // drop marks for entries that are no longer listed
+        this.marked.forEach((entry) => {
+            if (!this.commands.includes(entry)) this.marked.delete(entry)
+        })
+        if (this.stages.length === 0 && this.options.initialSortFunc && typeof this.options.initialSortFunc === 'function') {
             this.filtered = this.commands = this.commands.sort(this.options.initialSortFunc)
 
-            this._renderResults('')
+            this._renderResults()
         }
         this._onQueryChange()
     }
-    /** Destroy the palette instance. */
+
+    /**
+     * Toggle the mark on an entry.
+     * @param {Palette.Entry} [entry] - defaults to the selected entry.
+     */
+    toggleMark(entry = this.filtered[this.selectedIndex]) {
+        if (!entry) return
+        if (this.marked.has(entry)) this.marked.delete(entry)
+        else this.marked.add(entry)
+        this._onMarksChange()
+    }
+
+    /** Mark every entry matching the current query. */
+    markAll() {
+        this.filtered.forEach((entry) => this.marked.add(entry))
+        this._onMarksChange()
+    }
+
+    /** Invert the marks of every entry matching the current query. */
+    invertMarks() {
+        this.filtered.forEach((entry) => {
+            if (this.marked.has(entry)) this.marked.delete(entry)
+            else this.marked.add(entry)
+        })
+        this._onMarksChange()
+    }
+
+    /** Unmark all entries. */
+    clearMarks() {
+        this.marked.clear()
+        this._onMarksChange()
+    }
+
+    /**
+     * The entries an action should apply to:
+     * every marked entry (in list order), or the selected entry if nothing is marked.
+     * @returns {Palette.Entry[]}
+     */
+    getSelection() {
+        if (this.marked.size > 0) {
+            return this.commands.filter((entry) => this.marked.has(entry))
+        }
+        const selected = this.filtered[this.selectedIndex]
+        return selected ? [selected] : []
+    }
+
+    /**
+     * The entries chosen so far in a chained picker (see `Palette.NextFunc`), outermost first.
+     * @returns {Palette.Entry[]}
+     */
+    getPath() {
+        return this.stages.flatMap((stage) => (stage.entry ? [stage.entry] : []))
+    }
+
+    /**
+     * Like `getPath`, once for each combination of the entries marked when the stages were opened.
+     * @private
+     * @returns {Palette.Entry[][]}
+     */
+    _getPaths() {
+        return this.stages.reduce(
+            (paths, stage) => (stage.entry ? paths.flatMap((path) => stage.chosen.map((entry) => [...path, entry])) : paths),
+            /** @type {Palette.Entry[][]} */ ([[]]),
+        )
+    }
+
+    /**
+     * The actions available for an entry: its own, then the palette's. The palette's apply to
+     * its own list and to stages opting in with `paletteActions`, never to an actions menu.
+     * @param {Palette.Entry} [entry] - defaults to the selected entry.
+     * @returns {Palette.Action[]}
+     */
+    getActions(entry = this.filtered[this.selectedIndex]) {
+        if (!entry) return []
+        const stage = this.stages[this.stages.length - 1]
+        const paletteActions = !stage || stage.paletteActions ? (this.options.actions ?? []) : []
+        const actions = [...(entry.actions ?? []), ...paletteActions]
+        // an entry's action shadows a palette action of the same name
+        return actions.filter((action, idx) => actions.findIndex((other) => other.name === action.name) === idx)
+    }
+
+    /**
+     * Replace the list with the actions of the selected entry; Escape returns to the list.
+     * The actions apply to the marked entries, or to the selected entry if none are marked.
+     */
+    showActions() {
+        const entry = this.filtered[this.selectedIndex]
+        const actions = this.getActions(entry)
+        if (!entry || actions.length === 0) return
+        const targets = this.getSelection()
+        const label = targets.length > 1 ? `${targets.length} entries › actions` : `${entry.title} › actions`
+        this._pushStage(
+            label,
+            actions.map((action) => ({
+                id: action.name,
+                title: action.name,
+                subtitle: action.key,
+                keepOpen: true,
+                run: () => {
+                    this._popStage()
+                    this._runAction(action, targets)
+                },
+            })),
+        )
+    }
+
+    /**
+     * Forget the run history of an entry, so it is no longer ranked by frecency.
+     * @param {Palette.Entry} [entry] - defaults to the selected entry.
+     */
+    forget(entry = this.filtered[this.selectedIndex]) {
+        if (!entry) return
+        Frecency.forget(this.id, this.entryKey(entry))
+        this._onQueryChange(true)
+    }
+
+    /**
+     * What identifies an entry across populations: its `id`, or its `title` if it has none.
+     * Used to remember frecency, and by macros to find the entry again.
+     * @param {Palette.Entry} entry
+     * @returns {string}
+     */
+    entryKey(entry) {
+        const key = entry.id || entry.title
+        // ids are only unique within a source
+        return entry.source ? `${entry.source}:${key}` : key
+    }
+
+    /**
+     * Call `populateFunc` without showing (or changing) the palette, e.g. to run one of its entries from a script.
+     * @param {string} [query=''] - for "OnQuery" palettes
+     * @returns {Promise<Palette.Entry[]>}
+     */
+    async fetchEntries(query = '') {
+        const controller = new this.window.AbortController()
+        const result = await this.populateFunc(this, { query, signal: controller.signal })
+        /** @type {Palette.Entry[]} */
+        let entries = []
+        if (result && typeof result[Symbol.asyncIterator] === 'function') {
+            for await (const batch of result) entries.push(...(Array.isArray(batch) ? batch : [batch]))
+        } else if (Array.isArray(result)) {
+            entries = result.slice()
+        }
+        if (typeof this.options.initialSortFunc === 'function') entries.sort(this.options.initialSortFunc)
+        return entries
+    }
+
+    /**
+     * Populate the palette again now, keeping the query, e.g. after something its `populateFunc` reads has changed.
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (this.options.populateBehavior.includes('OnQuery')) this._populateForQuery()
+        else await this._populate()
+    }
+
+    /** Destroy the palette instance, removing its elements from the document. */
     destroy() {
+        this.hide()
         this._removeEvents()
         this.dialog?.remove()
+        this.styleElement?.remove()
     }
 
     /** @private */
@@ -374,15 +883,31 @@ export class Palette {
         this.input.autocomplete = 'off'
         this.input.spellcheck = false
         this.input.className = 'cp-input'
-        const hint = this.document.createElement('div')
-        hint.className = 'cp-hint'
-        hint.textContent = this.title
-        searchWrap.append(this.input, hint)
+        this.hint = this.document.createElement('div')
+        this.hint.className = 'cp-hint'
+        this.hint.textContent = this.title
+        this.loadingIndicator.className = 'cp-loading'
+        this.loadingIndicator.textContent = 'loading…'
+        this.loadingIndicator.style.display = 'none'
+        searchWrap.append(this.input, this.loadingIndicator, this.hint)
         this.results.className = 'cp-results'
-        this.results.style.maxHeight = `${this.options.maxVisible * 54}px`
+        this.results.style.maxHeight = `${this.options.maxVisible * ROW_HEIGHT}px`
+        this.resultsSpacer.className = 'cp-results-spacer'
+        this.results.appendChild(this.resultsSpacer)
         this.emptyState.className = 'cp-empty-state'
         this.emptyState.textContent = 'No commands found'
-        card.append(searchWrap, this.results, this.emptyState)
+        this.previewPane.className = 'cp-preview'
+        this.previewPane.style.maxHeight = `${this.options.maxVisible * ROW_HEIGHT}px`
+        this.previewPane.style.display = 'none'
+        const list = this.document.createElement('div')
+        list.className = 'cp-list'
+        list.append(this.results, this.emptyState)
+        this.body = this.document.createElement('div')
+        this.body.className = 'cp-body'
+        this.body.append(list, this.previewPane)
+        this.helpOverlay.className = 'cp-help'
+        this.helpOverlay.style.display = 'none'
+        card.append(searchWrap, this.body, this.helpOverlay)
         this.dialog.appendChild(card)
         this.document.body.appendChild(this.dialog)
         const style = this.document.createElement('style')
@@ -436,19 +961,25 @@ export class Palette {
         opacity: 0.7;
       }
 
-      .cp-hint {
+      .cp-hint,
+      .cp-loading {
         font-size: 12px;
         opacity: 0.7;
         white-space: nowrap;
         user-select: none;
         color: var(--cp-text-secondary);
       }
+      .cp-hint.cp-notice {
+        opacity: 1;
+        color: var(--cp-text-primary);
+      }
 
       .cp-results {
         overflow-y: auto;
         padding: 6px;
-        display: grid;
-        row-gap: 6px;
+      }
+      .cp-results-spacer {
+        position: relative;
       }
 
       .cp-empty-state {
@@ -460,8 +991,14 @@ export class Palette {
       }
 
       .cp-item {
+        position: absolute;
+        left: 0;
+        right: 0;
+        height: ${ROW_HEIGHT - 6}px;
+        box-sizing: border-box;
         display: flex;
         flex-direction: column;
+        justify-content: center;
         gap: 2px;
         padding: 10px 12px;
         border-radius: 8px;
@@ -471,6 +1008,31 @@ export class Palette {
       .cp-item.cp-selected {
         background: var(--cp-item-hover-bg);
       }
+      .cp-item.cp-marked {
+        box-shadow: inset 3px 0 0 var(--cp-highlight-color);
+      }
+      .cp-item.cp-disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+      .cp-item.cp-has-badge {
+        padding-right: 120px;
+      }
+      .cp-badge {
+        position: absolute;
+        top: 50%;
+        right: 12px;
+        max-width: 100px;
+        transform: translateY(-50%);
+        padding: 2px 6px;
+        border-radius: 4px;
+        font-size: 11px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        color: var(--cp-text-secondary);
+        background: var(--cp-bg-card);
+      }
       /* Disable hover styling when cp-mouse-locked is present,
         but NOT for items that are also cp-selected.
       */
@@ -482,6 +1044,12 @@ export class Palette {
         cursor: default;
        }
 
+      .cp-title,
+      .cp-sub {
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
       .cp-title {
         font-size: 14px;
         font-weight: 600;
@@ -501,8 +1069,56 @@ export class Palette {
         text-underline-offset: 3px;
         color: var(--cp-highlight-color);
       }
+
+      .cp-body {
+        display: flex;
+      }
+      .cp-list {
+        flex: 1;
+        min-width: 0;
+      }
+      .cp-preview {
+        flex: 1;
+        min-width: 0;
+        overflow-y: auto;
+        padding: 12px;
+        border-left: 1px solid var(--cp-border-light);
+        font-size: 12px;
+        color: var(--cp-text-secondary);
+      }
+      .cp-preview-title {
+        font-size: 14px;
+        font-weight: 600;
+        margin-bottom: 8px;
+        color: var(--cp-text-primary);
+      }
+      .cp-preview-text {
+        margin-bottom: 6px;
+        white-space: pre-line;
+        word-break: break-all;
+      }
+      .cp-help {
+        padding: 12px;
+        overflow-y: auto;
+        font-size: 12px;
+        display: grid;
+        grid-template-columns: max-content 1fr;
+        gap: 6px 16px;
+        color: var(--cp-text-secondary);
+      }
+      .cp-help kbd {
+        font-family: monospace;
+        color: var(--cp-text-primary);
+      }
+      .cp-preview canvas,
+      .cp-preview img {
+        max-width: 100%;
+        border-radius: 8px;
+        margin-bottom: 8px;
+      }
     `
         this.document.head.appendChild(style)
+        this.styleElement = style
     }
 
     /**
@@ -543,6 +1159,9 @@ export class Palette {
         }
 
         this.input.addEventListener('input', this._onInput)
+        this.results.addEventListener('scroll', this._onResultsScroll)
+        this.results.addEventListener('click', this._onResultsClick)
+        this.results.addEventListener('mousemove', this._onResultsMouseMove)
         this.dialog.addEventListener('click', this._onDialogClick)
         this.dialog.addEventListener('close', this._onClose)
         // this.dialog.addEventListener('picker:firstShow', this._onFirstShow)
@@ -556,6 +1175,9 @@ export class Palette {
     /** @private */
     _removeEvents() {
         this.input.removeEventListener('input', this._onInput)
+        this.results.removeEventListener('scroll', this._onResultsScroll)
+        this.results.removeEventListener('click', this._onResultsClick)
+        this.results.removeEventListener('mousemove', this._onResultsMouseMove)
         // this.dialog.removeEventListener('picker:firstShow', this._onFirstShow)
         this.dialog.removeEventListener('click', this._onDialogClick)
         this.dialog.removeEventListener('close', this._onClose)
@@ -575,9 +1197,193 @@ export class Palette {
         }
     }
 
+    /** @private */
+    _onResultsScroll = () => {
+        this._renderWindow()
+    }
+
+    /**
+     * @private
+     * @param {MouseEvent} e
+     */
+    _onResultsClick = (e) => {
+        const idx = this._rowIndexFromEvent(e)
+        if (idx === -1) return
+        e.stopPropagation()
+        this.selectedIndex = idx
+        this._runCommand(this.filtered[idx])
+    }
+
+    /**
+     * once we have moved more than a certain amount,
+     * resume accepting mouse hover events
+     * @private
+     * @param {MouseEvent} e
+     */
+    _onResultsMouseMove = (e) => {
+        if (!this.mouseUnlocked) return
+        const idx = this._rowIndexFromEvent(e)
+        if (idx !== -1 && idx !== this.selectedIndex) this._setSelectedIndex(idx)
+    }
+
+    /**
+     * @private
+     * @param {Event} e
+     * @returns {number} index into `this.filtered`, or -1
+     */
+    _rowIndexFromEvent(e) {
+        const item = /** @type {Element} */ (e.target)?.closest?.('.cp-item')
+        if (!item) return -1
+        const idx = Number(item.getAttribute('data-idx'))
+        return Number.isInteger(idx) && idx < this.filtered.length ? idx : -1
+    }
+
     /** @private */
     _onInput = () => {
         this._onQueryChange()
+        if (this.options.populateBehavior?.includes('OnQuery') && this.stages.length === 0) {
+            if (this.queryTimer !== null) this.window.clearTimeout(this.queryTimer)
+            this.queryTimer = this.window.setTimeout(() => {
+                this.queryTimer = null
+                this._populateForQuery()
+            }, this.options.queryDebounce)
+        }
+    }
+
+    /**
+     * Call `populateFunc` and render its result, unless a newer population started in the meantime.
+     * @private
+     * @param {string} [query='']
+     */
+    async _populate(query = '') {
+        this.populateController?.abort()
+        const controller = new this.window.AbortController()
+        this.populateController = controller
+        let result
+        try {
+            result = await this.populateFunc(this, { query, signal: controller.signal })
+        } catch (err) {
+            if (!controller.signal.aborted) console.error('populateFunc failed', err)
+            this._endPopulate(controller)
+            return
+        }
+        if (controller.signal.aborted) return // stale
+        if (result && typeof result[Symbol.asyncIterator] === 'function') {
+            // not awaited: the dialog can be shown while batches are still arriving
+            this._consumeStream(result, controller)
+            return
+        }
+        if (this.stages.length > 0) {
+            // a nested list is showing; update the palette's own list underneath it
+            this._setSavedCommands(Array.isArray(result) ? result.slice() : [])
+        } else {
+            this.setCommands(result)
+        }
+        this._endPopulate(controller)
+    }
+
+    /**
+     * Append each batch of a streaming `populateFunc` as it arrives.
+     * @private
+     * @param {AsyncIterable<Palette.Entry | Palette.Entry[]>} stream
+     * @param {AbortController} controller
+     */
+    async _consumeStream(stream, controller) {
+        if (this.stages.length > 0) this._setSavedCommands([])
+        else this.setCommands([])
+        this._setLoading(true)
+        try {
+            for await (const batch of stream) {
+                if (controller.signal.aborted) break
+                this._appendCommands(Array.isArray(batch) ? batch : [batch])
+            }
+        } catch (err) {
+            if (!controller.signal.aborted) console.error('populateFunc stream failed', err)
+        } finally {
+            this._endPopulate(controller)
+        }
+    }
+
+    /**
+     * Add entries to the list, re-filtering against the current query while keeping the selected entry selected.
+     * @private
+     * @param {Palette.Entry[]} entries
+     */
+    _appendCommands(entries) {
+        if (this.stages.length > 0) {
+            this._setSavedCommands([...this.stages[0].commands, ...entries])
+            return
+        }
+        this.commands.push(...entries)
+        if (typeof this.options.initialSortFunc === 'function') {
+            this.commands.sort(this.options.initialSortFunc)
+        }
+        this._onQueryChange(true)
+    }
+
+    /**
+     * Replace the palette's own list while a nested list is showing above it, sorted as `setCommands` would.
+     * Its selection and marks are found again by `entryKey`; those not (yet) found are kept until going back.
+     * @private
+     * @param {Palette.Entry[]} list
+     */
+    _setSavedCommands(list) {
+        const saved = this.stages[0]
+        saved.commands = typeof this.options.initialSortFunc === 'function' ? list.sort(this.options.initialSortFunc) : list
+        const byKey = new Map(saved.commands.map((entry) => [this.entryKey(entry), entry]))
+        /** @param {Palette.Entry} entry */
+        const current = (entry) => byKey.get(this.entryKey(entry)) ?? entry
+        if (saved.selected) saved.selected = current(saved.selected)
+        saved.marked = new Set(Array.from(saved.marked, current))
+    }
+
+    /**
+     * @private
+     * @param {AbortController} controller
+     */
+    _endPopulate(controller) {
+        if (this.populateController !== controller) return // a newer population owns the state
+        this.populateController = null
+        this._setLoading(false)
+    }
+
+    /**
+     * @private
+     * @param {boolean} loading
+     */
+    _setLoading(loading) {
+        if (this.loading === loading) return
+        this.loading = loading
+        this.loadingIndicator.style.display = loading ? '' : 'none'
+        if (!loading && this.dialog.open) this._onQueryChange(true) // replace the "Loading…" empty state
+    }
+
+    /**
+     * "OnQuery" population for the current input value.
+     * @private
+     */
+    _populateForQuery() {
+        const q = this.input.value.trim()
+        if (q.length < this.options.minQueryLength) {
+            this._cancelPopulate()
+            this.setCommands([])
+            return
+        }
+        this._populate(q)
+    }
+
+    /**
+     * Drop any pending or in-flight population.
+     * @private
+     */
+    _cancelPopulate() {
+        if (this.queryTimer !== null) {
+            this.window.clearTimeout(this.queryTimer)
+            this.queryTimer = null
+        }
+        this.populateController?.abort()
+        this.populateController = null
+        this._setLoading(false)
     }
 
     /** @private */
@@ -590,67 +1396,299 @@ export class Palette {
         }
     }
 
+    /**
+     * Called whenever an entry of any palette is run (but not for actions), e.g. to record macros.
+     * Marked entries passed to `opts.runMany` are reported one by one.
+     * @type {Set<Palette.RunListener>}
+     */
+    static runListeners = new Set()
+
+    /**
+     * Operations that keymaps bind chords to by name.
+     * Add to this object to make a new operation available to every palette.
+     * @type {Object<string, Palette.Operation>}
+     */
+    static operations = {
+        back: {
+            description: 'Go back to the previous list, or close',
+            run: (p) => {
+                if (!p._popStage()) p.hide()
+            },
+        },
+        close: { description: 'Close the palette', run: (p) => p.hide() },
+        previousStage: {
+            description: 'Go back to the previous list when the query is empty',
+            run: (p) => {
+                if (p.input.value !== '' || !p._popStage()) return false // deleting text
+            },
+        },
+        selectNext: { description: 'Select the next entry', run: (p) => p._moveSelection(1) },
+        selectPrevious: { description: 'Select the previous entry', run: (p) => p._moveSelection(-1) },
+        run: {
+            description: 'Run the selected (or marked) entries',
+            run: (p) => {
+                if (p.marked.size > 0) p._runMany(p.getSelection())
+                else if (p.filtered[p.selectedIndex]) p._runCommand(p.filtered[p.selectedIndex])
+                else return false
+            },
+        },
+        // like telescope's <Tab>
+        toggleMark: {
+            description: 'Mark or unmark the selected entry and move down',
+            run: (p) => {
+                p.toggleMark()
+                p._moveSelection(1)
+            },
+        },
+        markAll: { description: 'Mark all matching entries', run: (p) => p.markAll() },
+        invertMarks: { description: 'Invert the marks of all matching entries', run: (p) => p.invertMarks() },
+        clearMarks: { description: 'Unmark all entries', run: (p) => p.clearMarks() },
+        actions: { description: 'Show the actions of the selected entry', run: (p) => p.showActions() },
+        forget: {
+            description: 'Forget the selected entry’s frecency',
+            run: (p) => {
+                if (!p.options.frecency) return false
+                p.forget()
+            },
+        },
+        help: {
+            description: 'Show these key bindings',
+            run: (p, e) => {
+                if (e.key === '?' && p.input.value !== '') return false // typing a `?`
+                p._toggleHelp(true)
+            },
+        },
+    }
+
+    /**
+     * The active bindings for the selected entry: defaults, then the palette's and the entry's
+     * action keys, then `opts.keymap`.
+     * @returns {Map<string, {chord: string, binding: string|Palette.KeymapHandler}>} by canonical chord
+     */
+    getKeymap() {
+        /** @type {Map<string, {chord: string, binding: string|Palette.KeymapHandler}>} */
+        const keymap = new Map()
+        /** @param {Palette.Keymap} map */
+        const apply = (map) => {
+            Object.entries(map).forEach(([chord, binding]) => {
+                if (binding === null) keymap.delete(normalizeChord(chord))
+                else keymap.set(normalizeChord(chord), { chord, binding })
+            })
+        }
+        apply(DEFAULT_KEYMAP)
+        this.getActions()
+            .slice()
+            .reverse() // earlier actions win
+            .forEach((action) => {
+                if (action.key) apply({ [action.key]: `action:${action.name}` })
+            })
+        apply(this.options.keymap ?? {})
+        return keymap
+    }
+
     /** @private */
     _onKeyDown = (e) => {
         if (!this.dialog.open) return
-        switch (e.key) {
-            case 'Escape':
-                e.preventDefault()
-                this.hide()
-                break
-            case 'ArrowUp':
-                e.preventDefault()
-                this._moveSelection(-1)
-                break
-            case 'ArrowDown':
-                e.preventDefault()
-                this._moveSelection(1)
-                break
-            case 'Tab':
-                if (e.shiftKey && this.document.activeElement !== this.input) {
-                    e.preventDefault()
-                    this._moveSelection(-1)
-                } else if (!e.shiftKey && this.document.activeElement === this.input) {
-                    e.preventDefault()
-                    this._moveSelection(1)
-                }
-                break
-            case 'Enter':
-                if (this.filtered.length > 0) {
-                    e.preventDefault()
-                    e.stopImmediatePropagation()
-                    const cmd = this.filtered[this.selectedIndex]
-                    if (cmd) this._runCommand(cmd)
-                }
-                break
-            case 'p':
-                if (e.ctrlKey) {
-                    e.preventDefault()
-                    this._moveSelection(-1)
-                }
-                break
-            case 'n':
-                if (e.ctrlKey) {
-                    e.preventDefault()
-                    this._moveSelection(1)
-                }
-                break
+        if (this.helpOverlay.style.display !== 'none') {
+            // any key dismisses the help overlay, but not the modifier of a chord on its way
+            if (MODIFIER_KEYS.includes(e.key)) return
+            e.preventDefault()
+            e.stopImmediatePropagation()
+            this._toggleHelp(false)
+            return
         }
+        const bound = this.getKeymap().get(eventChord(e))
+        if (!bound) return
+        if (this._runBinding(bound.binding, e) === false) return
+        e.preventDefault()
+        e.stopImmediatePropagation()
     }
 
-    /** @private */
-    _onQueryChange() {
+    /**
+     * @private
+     * @param {string|Palette.KeymapHandler} binding
+     * @param {KeyboardEvent} e
+     * @returns {void|false} `false` if nothing handled the key.
+     */
+    _runBinding(binding, e) {
+        try {
+            if (typeof binding === 'function') return binding(this, e)
+            if (binding.startsWith('action:')) {
+                const action = this.getActions().find((action) => action.name === binding.slice('action:'.length))
+                if (!action) return false
+                this._runAction(action, this.getSelection())
+                return
+            }
+            const operation = Palette.operations[binding]
+            if (!operation) {
+                console.warn(`Unknown palette operation '${binding}'`)
+                return false
+            }
+            return operation.run(this, e)
+        } catch (err) {
+            console.error('Key binding failed', binding, err)
+        }
+    }
+
+    /**
+     * Show or hide the list of active key bindings in place of the results.
+     * @private
+     * @param {boolean} visible
+     */
+    _toggleHelp(visible) {
+        this.helpOverlay.replaceChildren()
+        if (visible) {
+            this.getKeymap().forEach(({ chord, binding }) => {
+                const key = this.document.createElement('kbd')
+                key.textContent = chord
+                const description = this.document.createElement('span')
+                if (typeof binding === 'function') description.textContent = binding.name || 'custom'
+                else if (binding.startsWith('action:')) description.textContent = binding.slice('action:'.length)
+                else description.textContent = Palette.operations[binding]?.description ?? binding
+                this.helpOverlay.append(key, description)
+            })
+        }
+        this.helpOverlay.style.display = visible ? '' : 'none'
+        this.body.style.display = visible ? 'none' : ''
+    }
+
+    /**
+     * @private
+     * @param {boolean|Palette.Entry} [keepSelection=false] - keep the selected entry (or select this one) by identity instead of by position.
+     */
+    _onQueryChange(keepSelection = false) {
+        const selected = keepSelection === true ? this.filtered[this.selectedIndex] : keepSelection || undefined
         const q = this.input.value.trim()
         let results
         if (q.length >= this.options.minQueryLength) {
             results = this._filterCommands(q)
         } else {
-            results = this.commands.slice()
+            results = this._rankByFrecency(this.commands.slice())
+            this.matchPositions = new WeakMap()
+            this.queryTerms = []
         }
         this.filtered = results
+        if (selected && results.includes(selected)) this.selectedIndex = results.indexOf(selected)
         this.selectedIndex = Math.min(this.selectedIndex, Math.max(0, results.length - 1))
         if (this.selectedIndex < 0) this.selectedIndex = 0
-        this._renderResults(q)
+        const awaitingQuery = this.options.populateBehavior?.includes('OnQuery') && q.length < this.options.minQueryLength
+        if (awaitingQuery) this.emptyState.textContent = `Type at least ${this.options.minQueryLength} characters`
+        else if (this.loading) this.emptyState.textContent = 'Loading…'
+        else this.emptyState.textContent = 'No commands found'
+        this._renderResults()
+    }
+
+    /** @private */
+    _updateHint() {
+        if (this.noticeTimer !== null) {
+            this.window.clearTimeout(this.noticeTimer)
+            this.noticeTimer = null
+        }
+        this.hint.classList.remove('cp-notice')
+        const labels = this.routedSource ? [this._sourceLabel(this.routedSource.id)] : []
+        const breadcrumb = [this.title, ...labels, ...this.stages.map((stage) => stage.label)].join(' › ')
+        this.hint.textContent = this.marked.size > 0 ? `${breadcrumb} · ${this.marked.size} marked` : breadcrumb
+    }
+
+    /**
+     * Show a short message in place of the breadcrumb, until the hint next changes or for `NOTICE_DURATION`.
+     * @private
+     * @param {string} message
+     */
+    _showNotice(message) {
+        this._updateHint()
+        this.hint.textContent = message
+        this.hint.classList.add('cp-notice')
+        this.noticeTimer = this.window.setTimeout(() => this._updateHint(), NOTICE_DURATION)
+    }
+
+    /**
+     * Show a new list in place of the current one, remembering the current list, query and selection.
+     * @private
+     * @param {string} label - breadcrumb shown in the hint
+     * @param {Palette.Entry[]} entries
+     * @param {Object} [opts]
+     * @param {Palette.Entry} [opts.entry] - the entry whose `next` hook opened the stage
+     * @param {Palette.Entry[]} [opts.chosen] - the marked entries it was opened for; defaults to `entry`
+     * @param {boolean} [opts.paletteActions=false] - whether the palette's `actions` apply to `entries`
+     */
+    _pushStage(label, entries, { entry, chosen = entry ? [entry] : [], paletteActions = false } = {}) {
+        this.stages.push({
+            label,
+            entry,
+            chosen,
+            paletteActions,
+            commands: this.commands,
+            query: this.input.value,
+            selectedIndex: this.selectedIndex,
+            selected: this.filtered[this.selectedIndex],
+            marked: new Set(this.marked),
+        })
+        this.marked.clear()
+        this.input.value = ''
+        this.selectedIndex = 0
+        this._updateHint()
+        this.setCommands(entries)
+    }
+
+    /**
+     * Call `entry.next` and show what it returns as a new stage.
+     * @private
+     * @param {Palette.Entry} entry
+     * @param {Palette.Entry[]} [chosen] - the marked entries to run the stage's entry for, `entry` first
+     */
+    async _openNext(entry, chosen = [entry]) {
+        const path = this.getPath()
+        this._setLoading(true)
+        /** @type {Palette.Entry[]|Palette.Stage} */
+        let result
+        try {
+            result = await entry.next(this.window, entry, path)
+        } catch (err) {
+            console.error('next() failed', err)
+            return
+        } finally {
+            this._setLoading(false)
+        }
+        if (!this.dialog.open || !result) return
+        const stage = Array.isArray(result) ? { entries: result } : result
+        const label = stage.title ?? (chosen.length > 1 ? `${chosen.length} entries` : entry.title)
+        this._pushStage(label, stage.entries ?? [], { entry, chosen, paletteActions: stage.paletteActions })
+    }
+
+    /**
+     * Return to the previous list, restoring its query and selection.
+     * @private
+     * @returns {boolean} `false` if there was no previous list.
+     */
+    _popStage() {
+        const stage = this.stages.pop()
+        if (!stage) return false
+        this.commands = stage.commands
+        // the list may have been repopulated meanwhile, see `_setSavedCommands`
+        this.marked = new Set(Array.from(stage.marked).filter((entry) => stage.commands.includes(entry)))
+        this.input.value = stage.query
+        this.selectedIndex = stage.selectedIndex
+        this._updateHint()
+        // by identity: running the entry may have changed its rank (frecency)
+        this._onQueryChange(stage.selected ?? false)
+        return true
+    }
+
+    /**
+     * Drop all stages, going back to the palette's own list without rendering it.
+     * @private
+     */
+    _resetStages() {
+        if (this.stages.length === 0) return
+        this.commands = this.stages[0].commands
+        this.stages = []
+    }
+
+    /** @private */
+    _onMarksChange() {
+        this._updateHint()
+        this._renderResults()
     }
 
     /**
@@ -659,40 +1697,149 @@ export class Palette {
      * @returns {Palette.Entry[]}
      */
     _filterCommands(q) {
-        if (q === '') return this.commands.slice()
-        const query = q.toLowerCase()
-        const scored = this.commands
-            .map((cmd) => {
-                const title = (cmd.title || '').toLowerCase()
-                const subtitle = (cmd.subtitle || '').toLowerCase()
-                let score = 0
-                if (title === query) score += 100
-                if (title.startsWith(query)) score += 75
-                if (title.includes(query)) score += 50
-                if (subtitle.includes(query)) score += 30
-                if (this.options.fuzzy && this._fuzzyMatch(query, title)) score += 10
-                return { cmd, score }
-            })
-            .filter((x) => x.score > 0)
-        scored.sort((a, b) => b.score - a.score || a.cmd.title.localeCompare(b.cmd.title))
-        return scored.map((s) => s.cmd)
+        this.matchPositions = new WeakMap()
+        const { source, query } = this._routeQuery(q)
+        if (source !== this.routedSource) {
+            this.routedSource = source
+            this._updateHint()
+        }
+        const commands = source ? this.commands.filter((cmd) => cmd.source === source.id) : this.commands
+        this.queryTerms = parseQuery(query, QUERY_FIELDS)
+        if (this.queryTerms.length === 0) return this._groupBySource(this._rankByFrecency(commands.slice()))
+        /** @type {{cmd: Palette.Entry, score: number}[]} */
+        const scored = []
+        commands.forEach((cmd) => {
+            const match = this._matchEntry(cmd, this.queryTerms)
+            if (!match) return
+            this.matchPositions.set(cmd, match.positions)
+            scored.push({ cmd, score: match.score + FRECENCY_BOOST * Math.log2(1 + this._frecency(cmd)) })
+        })
+        // a query of only `!exclude` terms filters without ranking by match
+        if (this.queryTerms.every((group) => group.every((term) => term.negate))) {
+            return this._groupBySource(this._rankByFrecency(scored.map((s) => s.cmd)))
+        }
+        // tighter titles first among equal scores
+        scored.sort((a, b) => b.score - a.score || a.cmd.title.length - b.cmd.title.length || a.cmd.title.localeCompare(b.cmd.title))
+        return this._groupBySource(scored.map((s) => s.cmd))
     }
 
     /**
+     * Split a leading source prefix (see `opts.sources`) off the query.
      * @private
-     * @param {string} query
-     * @param {string} text
-     * @returns {boolean}
+     * @param {string} q
+     * @returns {{source: Palette.Source|null, query: string}}
+     */
+    _routeQuery(q) {
+        if (!this.options.sources || this.stages.length > 0) return { source: null, query: q }
+        // the longest matching prefix wins
+        const source = this.options.sources
+            .filter((s) => s.prefix && q.startsWith(s.prefix))
+            .sort((a, b) => (b.prefix?.length ?? 0) - (a.prefix?.length ?? 0))[0]
+        if (!source?.prefix) return { source: null, query: q }
+        return { source, query: q.slice(source.prefix.length).trim() }
+    }
+
+    /**
+     * Keep entries of the same source together, ordering the groups by their first (best) entry.
+     * @private
+     * @param {Palette.Entry[]} list - ranked
+     * @returns {Palette.Entry[]}
+     */
+    _groupBySource(list) {
+        if (!this.options.sources || this.routedSource || this.stages.length > 0) return list
+        /** @type {Map<string|undefined, Palette.Entry[]>} */
+        const groups = new Map()
+        list.forEach((entry) => {
+            const group = groups.get(entry.source)
+            if (group) group.push(entry)
+            else groups.set(entry.source, [entry])
+        })
+        return Array.from(groups.values()).flat()
+    }
+
+    /**
+     * @private
+     * @param {string} id
+     * @returns {string}
+     */
+    _sourceLabel(id) {
+        return this.options.sources?.find((s) => s.id === id)?.label ?? id
+    }
+
+    /**
+     * Whether plain query terms match an entry fuzzily: its source's `fuzzy`, if set, else `opts.fuzzy`.
+     * @private
+     * @param {Palette.Entry} entry
+     * @returns {boolean|undefined}
+     */
+    _isFuzzy(entry) {
+        const source = entry.source ? this.options.sources?.find((s) => s.id === entry.source) : undefined
+        return source?.fuzzy ?? this.options.fuzzy
+    }
+
+    /**
+     * @private
+     * @param {Palette.Entry} entry
+     * @returns {number}
+     */
+    _frecency(entry) {
+        // entries of nested lists (actions, ...) are not the palette's own
+        if (!this.options.frecency || this.stages.length > 0) return 0
+        return Frecency.score(this.id, this.entryKey(entry))
+    }
+
+    /**
+     * Order by frecency, keeping the existing order among entries that were never run.
+     * @private
+     * @param {Palette.Entry[]} list
+     * @returns {Palette.Entry[]}
+     */
+    _rankByFrecency(list) {
+        if (!this.options.frecency) return list
+        const scores = new Map(list.map((entry) => [entry, this._frecency(entry)]))
+        return list.sort((a, b) => (scores.get(b) ?? 0) - (scores.get(a) ?? 0)) // stable
+    }
+
+    /**
+     * Every group of terms must match; within a group, the best matching alternative counts.
+     * @private
+     * @param {Palette.Entry} entry
+     * @param {QueryTerm[][]} groups
+     * @returns {{score: number, positions: Palette.MatchPositions}|null}
      */
-    _fuzzyMatch(query, text) {
-        if (query.length === 0) return true
-        let qi = 0,
-            ti = 0
-        while (qi < query.length && ti < text.length) {
-            if (query[qi] === text[ti]) qi++
-            ti++
+    _matchEntry(entry, groups) {
+        const fuzzy = this._isFuzzy(entry)
+        /** @type {Object<string, string>} */
+        const fields = { title: entry.title || '', sub: entry.subtitle || '', id: entry.id || '', kw: entry.keywords?.join(' ') ?? '' }
+        /** @type {Palette.MatchPositions} */
+        const positions = { title: [], subtitle: [] }
+        let score = 0
+        for (const group of groups) {
+            /** @type {{score: number, field: string|null, positions: number[]}|null} */
+            let best = null
+            for (const term of group) {
+                const targets = term.field ? [term.field] : ['title', 'sub', 'kw']
+                if (term.negate) {
+                    const excluded = targets.some((field) => matchTerm(term, fields[field], fuzzy))
+                    if (!excluded && !best) best = { score: 0, field: null, positions: [] }
+                    continue
+                }
+                targets.forEach((field) => {
+                    const match = fields[field] ? matchTerm(term, fields[field], fuzzy) : null
+                    if (!match) return
+                    const penalty = field === 'sub' ? SUBTITLE_PENALTY : field === 'kw' ? KEYWORDS_PENALTY : 0
+                    const termScore = match.score - penalty
+                    if (!best || termScore > best.score) best = { score: termScore, field, positions: match.positions }
+                })
+            }
+            if (!best) return null
+            score += best.score
+            if (best.field === 'title') positions.title.push(...best.positions)
+            else if (best.field === 'sub') positions.subtitle.push(...best.positions)
         }
-        return qi === query.length
+        positions.title.sort((a, b) => a - b)
+        positions.subtitle.sort((a, b) => a - b)
+        return { score, positions }
     }
 
     // * @param {EventTarget} element - The element to listen for mouse moves on.
@@ -724,117 +1871,200 @@ export class Palette {
         })
     }
 
-    /**
-     * @private
-     * @param {string} query
-     */
-    _renderResults(query) {
-        this.results.innerHTML = ''
+    /** @private */
+    _renderResults() {
         const hasResults = this.filtered.length > 0
         this.emptyState.style.display = hasResults ? 'none' : ''
-        this.results.style.display = hasResults ? 'grid' : 'none'
-        if (!hasResults) return
+        this.results.style.display = hasResults ? 'block' : 'none'
+        this.resultsSpacer.style.height = `${this.filtered.length * ROW_HEIGHT}px`
+        if (!hasResults) {
+            this.rows.forEach((row) => row.remove())
+            this.rows.clear()
+            this._updatePreview()
+            return
+        }
 
         this.results.classList.add('cp-mouse-locked') // block :hover styling until mouseMovePromise resolves.
 
         const mouseMovePromise = this.mouseState
 
         mouseMovePromise.then(() => {
+            if (mouseMovePromise !== this.mouseState) return // shown again since
+            this.mouseUnlocked = true
             this.results.classList.remove('cp-mouse-locked') // block :hover styling until mouseMovePromise resolves.
         })
 
-        this.filtered.forEach((cmd, idx) => {
-            const item = this._createResultItem(cmd, idx, query, mouseMovePromise)
-            this.results.appendChild(item)
-        })
+        this._renderWindow(true)
         this._ensureSelectionVisible()
     }
 
     /**
-     * Creates and returns a single command result item element.
+     * Materialize only the rows in view (plus `overscan`), recycling rows that scrolled out.
+     * @private
+     * @param {boolean} [refill=false] - re-render rows that are already in place, e.g. after `this.filtered` changed.
+     */
+    _renderWindow(refill = false) {
+        const { maxVisible, overscan } = this.options
+        const first = Math.floor(this.results.scrollTop / ROW_HEIGHT)
+        const start = Math.max(0, first - overscan)
+        const end = Math.min(this.filtered.length, first + maxVisible + 1 + overscan)
+
+        /** @type {HTMLElement[]} */
+        const free = []
+        this.rows.forEach((row, idx) => {
+            if (refill || idx < start || idx >= end) {
+                free.push(row)
+                this.rows.delete(idx)
+            }
+        })
+        for (let idx = start; idx < end; idx++) {
+            if (this.rows.has(idx)) continue
+            const row = free.pop() ?? this._createResultItem()
+            this._fillResultItem(row, this.filtered[idx], idx)
+            if (!row.parentNode) this.resultsSpacer.appendChild(row)
+            this.rows.set(idx, row)
+        }
+        free.forEach((row) => row.remove())
+        this._updatePreview()
+    }
+
+    /**
+     * Show the selected entry in the preview pane, if it (or the palette) has a previewer.
+     * @private
+     */
+    _updatePreview() {
+        const entry = this.filtered[this.selectedIndex] ?? null
+        if (entry === this.previewEntry) return
+        this._clearPreview()
+        this.previewEntry = entry
+        const preview = entry?.preview ?? this.options.preview
+        if (!entry || typeof preview !== 'function') return
+
+        this.previewPane.style.display = ''
+        const controller = new this.window.AbortController()
+        this.previewController = controller
+        try {
+            const res = preview(entry, this.previewPane, controller.signal)
+            if (res && typeof res.then === 'function') {
+                res.catch((err) => {
+                    if (!controller.signal.aborted) console.error('Preview error:', err)
+                })
+            }
+        } catch (err) {
+            console.error('Preview error:', err)
+        }
+    }
+
+    /** @private */
+    _clearPreview() {
+        this.previewController?.abort()
+        this.previewController = null
+        this.previewEntry = null
+        this.previewPane.replaceChildren()
+        this.previewPane.style.display = 'none'
+    }
+
+    /**
+     * Creates an empty result row; see `_fillResultItem`.
      * @private
-     * @param {Palette.Entry} entry - The entry object.
-     * @param {number} idx - The index of the command in the filtered list.
-     * @param {string} query - The search query for highlighting.
-     * @param {Promise<any>} mouseThrottleExceeded
      * @returns {HTMLElement} The created item element.
      */
-    _createResultItem(entry, idx, query, mouseThrottleExceeded) {
+    _createResultItem() {
         const item = this.document.createElement('div')
         item.className = 'cp-item'
-        item.setAttribute('data-cmd-id', entry.id || String(idx))
 
         const titleDiv = this.document.createElement('div')
         titleDiv.className = 'cp-title'
+        const sub = this.document.createElement('div')
+        sub.className = 'cp-sub'
+        const badge = this.document.createElement('span')
+        badge.className = 'cp-badge'
+        item.append(titleDiv, sub, badge)
+
+        return item
+    }
+
+    /**
+     * Render an entry into a (possibly recycled) result row.
+     * @private
+     * @param {HTMLElement} item - The row element.
+     * @param {Palette.Entry} entry - The entry object.
+     * @param {number} idx - The index of the command in the filtered list.
+     */
+    _fillResultItem(item, entry, idx) {
+        item.setAttribute('data-cmd-id', entry.id || String(idx))
+        item.setAttribute('data-idx', String(idx))
+        item.style.top = `${idx * ROW_HEIGHT}px`
+
+        const [titleDiv, sub, badge] = /** @type {HTMLElement[]} */ (Array.from(item.children))
+        const positions = this.matchPositions.get(entry)
         // Prefer entry.displayTitle; fall back to entry.title
         const titleText = entry.displayTitle ?? entry.title ?? ''
-        titleDiv.innerHTML = this._highlight(titleText, query)
-        item.appendChild(titleDiv)
+        titleDiv.innerHTML = this._highlight(titleText, this._displayPositions(entry, entry.title ?? '', titleText, positions?.title, 'title'))
 
         // Prefer entry.displaySubtitle; fall back to entry.subtitle
         const subtitleText = entry.displaySubtitle ?? entry.subtitle
-        if (subtitleText) {
-            const sub = this.document.createElement('div')
-            sub.className = 'cp-sub'
-            sub.innerHTML = this._highlight(subtitleText, query)
-            item.appendChild(sub)
-        }
-
-        item.addEventListener('click', (ev) => {
-            ev.stopPropagation()
-            this.selectedIndex = idx
-            this._runCommand(entry)
-        })
-
-        // once we have moved more than a certain amount,
-        // resume accepting mouse hover events
-        mouseThrottleExceeded.then(() => {
-            item.addEventListener('mousemove', () => {
-                this._setSelectedIndex(idx)
-            })
-        })
-
-        if (idx === this.selectedIndex) {
-            item.classList.add('cp-selected')
-            item.id = `cp-item-${idx}`
-        }
+        sub.innerHTML = subtitleText
+            ? this._highlight(subtitleText, this._displayPositions(entry, entry.subtitle ?? '', subtitleText, positions?.subtitle, 'sub'))
+            : ''
+        sub.style.display = subtitleText ? '' : 'none'
+
+        badge.textContent = entry.source ? this._sourceLabel(entry.source) : ''
+        badge.style.display = entry.source ? '' : 'none'
+        item.classList.toggle('cp-has-badge', Boolean(entry.source))
+
+        item.classList.toggle('cp-selected', idx === this.selectedIndex)
+        if (idx === this.selectedIndex) item.id = `cp-item-${idx}`
+        else item.removeAttribute('id')
+        item.classList.toggle('cp-marked', this.marked.has(entry))
+        item.classList.toggle('cp-disabled', Boolean(entry.disabled))
+    }
 
-        return item
+    /**
+     * Map match positions in `text` onto the text actually displayed.
+     * @private
+     * @param {Palette.Entry} entry
+     * @param {string} text - the filtered text (`title` or `subtitle`)
+     * @param {string} displayText - the rendered text (`displayTitle` or `displaySubtitle`, if set)
+     * @param {number[]|undefined} positions - match positions in `text`
+     * @param {string} field - query field of `text`: `'title'` or `'sub'`
+     * @returns {number[]}
+     */
+    _displayPositions(entry, text, displayText, positions, field) {
+        if (this.queryTerms.length === 0) return []
+        if (displayText === text) return positions ?? []
+        // e.g. a decorated title: shift the positions to where `text` appears
+        const offset = text ? displayText.indexOf(text) : -1
+        if (offset !== -1 && positions) return positions.map((pos) => pos + offset)
+        // otherwise match the displayed text itself
+        return this.queryTerms
+            .flat()
+            .filter((term) => !term.negate && (term.field === null || term.field === field))
+            .flatMap((term) => matchTerm(term, displayText, this._isFuzzy(entry))?.positions ?? [])
     }
 
     /**
      * @private
      * @param {string} text
-     * @param {string} query
+     * @param {number[]} positions - indices of the characters to highlight; an astral character (`'😀'`) by its first code unit
      * @returns {string}
      */
-    _highlight(text, query) {
-        if (!this.options.highlight) return this._escapeHtml(text) // highlighting is disabled
-        // TODO: make this work with display text
-
-        if (!query) return this._escapeHtml(text)
-        const q = query.trim().toLowerCase()
-        if (!q) return this._escapeHtml(text)
-        const lowerText = text.toLowerCase()
-        const pos = lowerText.indexOf(q)
-        if (pos !== -1) {
-            const before = this._escapeHtml(text.slice(0, pos))
-            const match = this._escapeHtml(text.slice(pos, pos + q.length))
-            const after = this._escapeHtml(text.slice(pos + q.length))
-            return `${before}<span class="cp-highlight">${match}</span>${after}`
-        }
-        // fallback fuzzy
+    _highlight(text, positions) {
+        if (!this.options.highlight || positions.length === 0) return this._escapeHtml(text) // highlighting is disabled, or nothing matched
+        const marked = new Set(positions)
         let out = ''
-        let qi = 0
-        for (const char of text) {
-            if (qi < q.length && char.toLowerCase() === q[qi]) {
-                out += `<span class="cp-highlight">${this._escapeHtml(char)}</span>`
-                qi++
-            } else {
-                out += this._escapeHtml(char)
+        let inMatch = false
+        let i = 0
+        // by code point, so a surrogate pair is never split across a <span>
+        for (const c of text) {
+            if (marked.has(i) !== inMatch) {
+                out += inMatch ? '</span>' : '<span class="cp-highlight">'
+                inMatch = !inMatch
             }
+            out += this._escapeHtml(c)
+            i += c.length
         }
-        return out
+        return inMatch ? `${out}</span>` : out
     }
 
     /**
@@ -853,7 +2083,7 @@ export class Palette {
      */
     _setSelectedIndex(i) {
         this.selectedIndex = Math.max(0, Math.min(i, this.filtered.length - 1))
-        Array.from(this.results.children).forEach((node, idx) => {
+        this.rows.forEach((node, idx) => {
             node.classList.remove('cp-selected')
             node.removeAttribute('id')
             if (idx === this.selectedIndex) {
@@ -876,10 +2106,15 @@ export class Palette {
 
     /** @private */
     _ensureSelectionVisible() {
-        const node = this.results.children[this.selectedIndex]
-        if (node) {
-            node.scrollIntoView({ block: 'nearest' })
+        // the selected row may not be materialized, so scroll by arithmetic instead of `scrollIntoView`
+        const top = this.selectedIndex * ROW_HEIGHT
+        const viewport = this.results.clientHeight || this.options.maxVisible * ROW_HEIGHT
+        if (top < this.results.scrollTop) {
+            this.results.scrollTop = top
+        } else if (top + ROW_HEIGHT > this.results.scrollTop + viewport) {
+            this.results.scrollTop = top + ROW_HEIGHT - viewport
         }
+        this._renderWindow()
     }
 
     /**
@@ -887,21 +2122,107 @@ export class Palette {
      * @param {Palette.Entry} entry
      */
     _runCommand(entry) {
+        if (entry.disabled) {
+            this._showNotice(`'${entry.title}' is disabled`)
+            return
+        }
         try {
-            if (typeof entry.run === 'function') {
-                this.hide()
-                const res = entry.run(this.window, entry)
+            if (typeof entry.next === 'function') {
+                if (this.options.frecency && this.stages.length === 0) Frecency.record(this.id, this.entryKey(entry))
+                this._openNext(entry)
+            } else if (typeof entry.run === 'function') {
+                if (this.options.frecency && this.stages.length === 0) Frecency.record(this.id, this.entryKey(entry))
+                const paths = this._getPaths()
+                // entries of an actions menu are not the palette's
+                if (this.stages.every((stage) => stage.entry)) paths.forEach((path) => this._notifyRun(entry, path))
+                if (!entry.keepOpen) this.hide()
+                paths.forEach((path) => {
+                    const res = entry.run(this.window, entry, path)
+                    if (res && typeof res.then === 'function') {
+                        res.catch((err) => console.error('Command error:', err))
+                    }
+                })
+            } else {
+                console.warn('Command has no run() function', entry)
+            }
+        } catch (err) {
+            console.error('Command execution failed', err)
+        }
+    }
+
+    /**
+     * @private
+     * @param {Palette.Entry} entry
+     * @param {Palette.Entry[]} path
+     */
+    _notifyRun(entry, path) {
+        Palette.runListeners.forEach((listener) => {
+            try {
+                listener(this, entry, path)
+            } catch (err) {
+                console.error('Run listener failed', err)
+            }
+        })
+    }
+
+    /**
+     * @private
+     * @param {Palette.Entry[]} selection
+     */
+    _runMany(selection) {
+        const entries = selection.filter((entry) => !entry.disabled)
+        if (entries.length === 0) {
+            this._showNotice('The marked entries are disabled')
+            return
+        }
+        try {
+            const withNext = entries.filter((entry) => typeof entry.next === 'function')
+            if (withNext.length > 0 && withNext.length < entries.length) {
+                this._showNotice('Mark either entries with follow-up choices or entries without')
+                return
+            }
+            if (withNext.length > 0) {
+                // one follow-up stage, whose choice then runs for every marked entry
+                if (this.options.frecency && this.stages.length === 0) {
+                    entries.forEach((entry) => Frecency.record(this.id, this.entryKey(entry)))
+                }
+                this._openNext(entries[0], entries)
+                return
+            }
+            this.hide()
+            // `runMany` is for the palette's own entries, not those of a stage
+            if (typeof this.options.runMany === 'function' && this.stages.length === 0) {
+                if (this.options.frecency) entries.forEach((entry) => Frecency.record(this.id, this.entryKey(entry)))
+                entries.forEach((entry) => this._notifyRun(entry, []))
+                const res = this.options.runMany(this.window, entries)
                 if (res && typeof res.then === 'function') {
                     res.catch((err) => console.error('Command error:', err))
                 }
-            } else {
-                console.warn('Command has no run() function', entry)
+                return
             }
+            entries.forEach((entry) => this._runCommand(entry))
         } catch (err) {
             console.error('Command execution failed', err)
         }
     }
 
+    /**
+     * @private
+     * @param {Palette.Action} action
+     * @param {Palette.Entry[]} entries
+     */
+    _runAction(action, entries) {
+        if (entries.length === 0) return
+        try {
+            const res = action.run(this.window, entries, this)
+            if (res && typeof res.then === 'function') {
+                res.catch((err) => console.error(`Action '${action.name}' error:`, err))
+            }
+        } catch (err) {
+            console.error(`Action '${action.name}' failed`, err)
+        }
+    }
+
     /**
      * Initialize the palette.
      * @param {Window} _win
@@ -909,9 +2230,7 @@ export class Palette {
     init(_win) {
         if (this.options.populateBehavior === undefined) throw 'populate behavior is undefined'
         if (this.options.populateBehavior.includes('OnInit')) {
-            ;(async () => {
-                this.setCommands(await this.populateFunc(this))
-            })()
+            this._populate()
         }
         if (typeof this.OnAfterInitCallback === 'function') {
             this.OnAfterInitCallback(this)
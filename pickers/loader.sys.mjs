@@ -0,0 +1,112 @@
+/**
+ * Finds picker modules in the `pickers/` folder and registers the palettes they export.
+ *
+ * A picker module is any `pickers/*.sys.mjs` exporting `RegisterPalettes` (an array of
+ * `Palette.Registration`), either directly or on an exported object:
+ *
+ * ```js
+ * export const Eagle = {
+ *     RegisterPalettes: [{ id: 'switchLibraries:eagle', populateFunc, opts: { populateBehavior: ['OnShow'] } }],
+ * }
+ * ```
+ *
+ * Modules are loaded one at a time; one that fails to load (or to register) is
+ * reported and skipped, and the others load as usual.
+ */
+
+/** @import { Palette } from './lib.sys.mjs' */
+import * as UC_API from 'chrome://userchromejs/content/uc_api.sys.mjs'
+
+import { PaletteRegistry } from './registry.sys.mjs'
+
+const MODULE_SUFFIX = '.sys.mjs'
+/** this folder, within the scripts folder */
+const PICKERS_DIR = 'pickers'
+
+/**
+ * @typedef {Object} PickerModule
+ * @property {string}   name     - the file name without `.sys.mjs`, e.g. `'domainPickers'`
+ * @property {'loaded'|'disabled'|'failed'} status
+ * @property {string[]} palettes - ids of the palettes it registered
+ * @property {unknown}  [error]  - why it failed
+ */
+
+/**
+ * File names of the modules next to this one.
+ * @returns {string[]}
+ */
+function listModuleFiles() {
+    const dir = UC_API.FileSystem.getEntry(PICKERS_DIR, { baseDirectory: UC_API.FileSystem.SCRIPT_DIR })
+    if (!dir.isDirectory()) return []
+    /** @type {nsIFile[]} */
+    const files = Array.from(dir.entries())
+    return files
+        .filter((file) => file.isFile() && file.leafName.endsWith(MODULE_SUFFIX))
+        .map((file) => file.leafName)
+        .sort()
+}
+
+/**
+ * @param {Record<string, unknown>} module
+ * @returns {Palette.Registration[]}
+ */
+function registrationsOf(module) {
+    const lists = [module.RegisterPalettes, ...Object.values(module).map((value) => /** @type {any} */ (value)?.RegisterPalettes)]
+    return [...new Set(lists.filter(Array.isArray))].flat()
+}
+
+/**
+ * Import every picker module and register its palettes.
+ * @param {Object} [options]
+ * @param {Object<string, boolean>} [options.enabled] - module name → whether to register its palettes; unlisted modules' are.
+ * Disabled modules are still imported, to tell picker modules from helpers.
+ * @param {(reg: Palette.Registration) => Palette.Registration} [options.transform] - applied to each registration before it is registered.
+ * @returns {Promise<PickerModule[]>} the picker modules found; modules without `RegisterPalettes` are left out.
+ */
+export async function loadPickerModules({ enabled = {}, transform = (reg) => reg } = {}) {
+    /** @type {string[]} */
+    let files = []
+    try {
+        files = listModuleFiles()
+    } catch (err) {
+        console.error('Failed to list picker modules', err)
+    }
+
+    /** @type {PickerModule[]} */
+    const modules = []
+    for (const file of files) {
+        const name = file.slice(0, -MODULE_SUFFIX.length)
+        try {
+            const module = await import(`./${file}`)
+            const registrations = registrationsOf(module)
+            if (registrations.length === 0) continue // a helper module, not a picker
+            if (enabled[name] === false) {
+                modules.push({ name, status: 'disabled', palettes: [] })
+                continue
+            }
+
+            /** @type {PickerModule} */
+            const loaded = { name, status: 'loaded', palettes: [] }
+            registrations.forEach((reg) => {
+                try {
+                    PaletteRegistry.register(transform(reg))
+                    loaded.palettes.push(reg.id)
+                } catch (err) {
+                    console.error(`Picker module '${name}': failed to register '${reg?.id}'`, err)
+                    loaded.status = 'failed'
+                    loaded.error = err
+                }
+            })
+            modules.push(loaded)
+        } catch (err) {
+            if (enabled[name] === false) {
+                // can't tell whether it is a picker module, but it was not meant to load anyway
+                modules.push({ name, status: 'disabled', palettes: [] })
+                continue
+            }
+            console.error(`Failed to load picker module '${name}'`, err)
+            modules.push({ name, status: 'failed', palettes: [], error: err })
+        }
+    }
+    return modules
+}
@@ -0,0 +1,129 @@
+/**
+ * Macros: named sequences of palette entries (see `Macro` in `config.sys.mjs`),
+ * run from the command palette. "Record macro" captures every entry run from any
+ * palette until recording is stopped, and saves the steps to the config file.
+ */
+
+/** @import { Macro, MacroStep } from './config.sys.mjs' */
+import { Config } from './config.sys.mjs'
+import { Palette } from './lib.sys.mjs'
+import { PaletteRegistry } from './registry.sys.mjs'
+
+const RECORD_ID = 'macro:record'
+const STOP_ID = 'macro:stop'
+
+/** @type {MacroStep[]|null} the steps recorded so far, or `null` when not recording */
+let recording = null
+
+/** @type {Palette.RunListener} */
+function recordStep(palette, entry, path) {
+    if (!recording || entry.id === RECORD_ID || entry.id === STOP_ID) return
+    const [first, ...chosen] = [...path, entry]
+    /** @type {MacroStep} */
+    const step = { palette: palette.id, entry: palette.entryKey(first) }
+    if (chosen.length > 0) step.args = { next: chosen.map((e) => palette.entryKey(e)) }
+    if (palette.options.populateBehavior?.includes('OnQuery')) {
+        // the query the palette's own list was populated for, even if a follow-up stage is showing
+        step.args = { ...step.args, query: (palette.stages[0]?.query ?? palette.input.value).trim() }
+    }
+    recording.push(step)
+}
+Palette.runListeners.add(recordStep)
+
+/**
+ * @param {Palette} palette
+ * @param {Palette.Entry[]} entries
+ * @param {string} key
+ * @returns {Palette.Entry}
+ */
+function findEntry(palette, entries, key) {
+    const entry = entries.find((e) => palette.entryKey(e) === key)
+    if (!entry) throw new Error(`no entry '${key}' in '${palette.id}'`)
+    return entry
+}
+
+/**
+ * @param {Window} win
+ * @param {MacroStep} step
+ */
+async function runStep(win, step) {
+    const palette = PaletteRegistry.get(win, step.palette)
+    if (!palette) throw new Error(`no palette '${step.palette}'`)
+    let entry = findEntry(palette, await palette.fetchEntries(step.args?.query), step.entry)
+    /** @type {Palette.Entry[]} */
+    const path = []
+    for (const key of step.args?.next ?? []) {
+        if (typeof entry.next !== 'function') throw new Error(`'${palette.entryKey(entry)}' has no follow-up stage`)
+        const result = await entry.next(win, entry, path)
+        path.push(entry)
+        entry = findEntry(palette, Array.isArray(result) ? result : (result?.entries ?? []), key)
+    }
+    if (typeof entry.next === 'function') throw new Error(`'${palette.entryKey(entry)}' needs its follow-up choices in args.next`)
+    if (entry.disabled) throw new Error(`'${palette.entryKey(entry)}' is disabled`)
+    await entry.run(win, entry, path)
+}
+
+/**
+ * Run a macro's steps in order, stopping at the first that fails.
+ * @param {Window} win
+ * @param {Macro} macro
+ */
+export async function runMacro(win, macro) {
+    for (const [i, step] of macro.steps.entries()) {
+        try {
+            await runStep(win, step)
+        } catch (err) {
+            throw new Error(`macro step ${i + 1} (${step.palette} › ${step.entry}) failed: ${/** @type {Error} */ (err).message}`)
+        }
+    }
+}
+
+/**
+ * Ask for a name and save the recorded steps as a macro.
+ * @param {Window} win
+ */
+async function stopRecording(win) {
+    const steps = recording
+    recording = null
+    if (!steps || steps.length === 0) return
+    const name = { value: '' }
+    if (!Services.prompt.prompt(win, 'Save macro', `Name for the ${steps.length} recorded steps:`, name, null, { value: false })) return
+    const macroName = name.value.trim()
+    if (!macroName) return
+    if (Config.current.macros[macroName] && !Services.prompt.confirm(win, 'Save macro', `Replace the macro '${macroName}'?`)) return
+    await Config.update((raw) => {
+        raw.macros = { ...raw.macros, [macroName]: { steps } }
+    })
+}
+
+/**
+ * Command palette entries: one per macro, then one to start (or stop) recording.
+ * @returns {Palette.Entry[]}
+ */
+export function macroEntries() {
+    /** @type {Palette.Entry[]} */
+    const entries = Object.entries(Config.current.macros).map(([name, macro]) => ({
+        id: `macro:${name}`,
+        title: macro.title ?? name,
+        subtitle: `macro: ${macro.steps.map((step) => step.entry).join(' → ')}`,
+        run: (win) => runMacro(win, macro),
+    }))
+    if (recording) {
+        entries.push({
+            id: STOP_ID,
+            title: `Stop recording macro (${recording.length} steps)`,
+            subtitle: 'and save it to commandPaletteConfig.json',
+            run: stopRecording,
+        })
+    } else {
+        entries.push({
+            id: RECORD_ID,
+            title: 'Record macro',
+            subtitle: 'run palette entries as usual, then stop recording here',
+            run: () => {
+                recording = []
+            },
+        })
+    }
+    return entries
+}
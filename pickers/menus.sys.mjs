@@ -0,0 +1,146 @@
+/**
+ * A picker over the items of the menubar, the app (hamburger) menu and the tab
+ * context menu, including the many that have no `<command>` of their own.
+ *
+ * Menus update their items' `hidden`/`disabled` state when they open, so the
+ * state shown is the one from when each menu was last opened; it is checked
+ * again before an item is activated.
+ */
+
+/** @import { Palette } from './lib.sys.mjs' */
+import { PanelMultiView } from 'resource:///modules/PanelMultiView.sys.mjs'
+import { ShortcutUtils } from 'resource://gre/modules/ShortcutUtils.sys.mjs'
+
+/** @typedef {Palette.Entry & {item: XULElement}} MenuItemEntry */
+
+/**
+ * @typedef {Object} MenuRoot
+ * @property {string|null} label - first part of the menu path; `null` for the menubar, whose menus name themselves
+ * @property {(win: Window) => Element|null|undefined} find
+ * @property {(win: Window) => void} [prepare] - called before one of its items is activated
+ */
+
+/** @type {MenuRoot[]} */
+const MENU_ROOTS = [
+    { label: null, find: (win) => win.document.getElementById('main-menubar') },
+    {
+        label: 'App menu',
+        // the view lives in a <template> until the menu is first opened
+        find: (win) => PanelMultiView.getViewNode(win.document, 'appMenu-mainView'),
+    },
+    {
+        label: 'Tab',
+        find: (win) => win.document.getElementById('tabContextMenu'),
+        // the tab context menu acts on the tab it was opened on: make that the selected tab(s)
+        prepare: (win) => {
+            win.TabContextMenu.contextTab = win.gBrowser.selectedTab
+            if ('contextTabs' in win.TabContextMenu) win.TabContextMenu.contextTabs = win.gBrowser.selectedTabs
+        },
+    },
+]
+
+/** @param {Element} el */
+const isHidden = (el) => el.hasAttribute('hidden') || el.getAttribute('collapsed') === 'true'
+/** @param {Element} el */
+const isDisabled = (el) => el.getAttribute('disabled') === 'true'
+
+/**
+ * @param {Window} win
+ * @param {Element} item
+ * @returns {string|null} e.g. "Ctrl+Shift+I"
+ */
+function getShortcut(win, item) {
+    const keyId = item.getAttribute('key')
+    const key = keyId ? win.document.getElementById(keyId) : null
+    return key ? ShortcutUtils.prettifyShortcut(key) : item.getAttribute('acceltext') || null
+}
+
+/**
+ * Activate a menu item the way clicking it would: update its checked state, then dispatch `command`.
+ * @param {Window} win
+ * @param {XULElement} item
+ * @param {MenuRoot} root
+ */
+function activate(win, item, root) {
+    if (!item.isConnected) throw new Error(`'${item.getAttribute('label')}' is no longer in the menu`)
+    if (isHidden(item) || isDisabled(item)) throw new Error(`'${item.getAttribute('label')}' is not available right now`)
+    root.prepare?.(win)
+    const type = item.getAttribute('type')
+    if (type === 'checkbox' && item.getAttribute('autocheck') !== 'false') {
+        if (item.getAttribute('checked') === 'true') item.removeAttribute('checked')
+        else item.setAttribute('checked', 'true')
+    } else if (type === 'radio') {
+        item.setAttribute('checked', 'true')
+    }
+    item.doCommand()
+}
+
+/**
+ * @param {Window} win
+ * @param {Element} container - a menubar, menupopup or panel view
+ * @param {string[]} path - labels of the enclosing menus
+ * @param {MenuRoot} root
+ * @param {MenuItemEntry[]} out
+ */
+function collectItems(win, container, path, root, out) {
+    for (const el of Array.from(container.children)) {
+        if (isHidden(el)) continue
+        const label = el.getAttribute('label')
+        if (el.localName === 'menu') {
+            const popup = el.querySelector(':scope > menupopup')
+            if (popup && label) collectItems(win, popup, [...path, label], root, out)
+        } else if (el.localName === 'menuitem' || (el.localName === 'toolbarbutton' && !el.classList.contains('subviewbutton-nav'))) {
+            if (!label) continue
+            const item = /** @type {XULElement} */ (el)
+            const shortcut = getShortcut(win, item)
+            const disabled = isDisabled(item)
+            out.push({
+                id: item.id || [...path, label].join(' › '),
+                title: label,
+                subtitle: [path.join(' › '), shortcut, disabled && 'disabled'].filter(Boolean).join(' · '),
+                disabled,
+                item,
+                run: (w) => activate(w, item, root),
+            })
+        } else if (el.children.length > 0 && el.localName !== 'menupopup') {
+            // wrappers such as the app menu's <vbox>es
+            collectItems(win, el, path, root, out)
+        }
+    }
+}
+
+/**
+ * @type {Palette.PopulateFunc}
+ * @returns {MenuItemEntry[]}
+ */
+function menuItemsPopulateFunc(p) {
+    const win = p.window
+    if (!win.document) return []
+    /** @type {MenuItemEntry[]} */
+    const entries = []
+    MENU_ROOTS.forEach((root) => {
+        try {
+            const container = root.find(win)
+            if (container) collectItems(win, container, root.label ? [root.label] : [], root, entries)
+        } catch (err) {
+            console.error(`Failed to index menu '${root.label ?? 'menubar'}'`, err)
+        }
+    })
+    return entries
+}
+
+export const MenuPickers = {
+    /** @type {Palette.Registration[]} */
+    RegisterPalettes: [
+        {
+            id: 'menuItemsPicker',
+            populateFunc: menuItemsPopulateFunc,
+            prefix: '/',
+            opts: {
+                title: 'Menu items',
+                populateBehavior: ['OnShow'], // menu items come and go
+                hotkey: { modifiers: 'alt shift', key: 'm', suppressOriginal: true },
+            },
+        },
+    ],
+}
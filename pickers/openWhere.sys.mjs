@@ -0,0 +1,30 @@
+/**
+ * Follow-up stage asking where to open the chosen entry's url.
+ */
+
+/** @import { Palette } from './lib.sys.mjs' */
+
+/**
+ * For entries with a `url`, or whose `title` is one (`about:` pages):
+ *
+ * ```js
+ * { title: 'about:config', run, next: () => openWhereStage }
+ * ```
+ *
+ * @type {Palette.Stage}
+ */
+export const openWhereStage = {
+    title: 'open where?',
+    entries: [
+        ['current', 'Current tab'],
+        ['tab', 'New tab'],
+        ['window', 'New window'],
+    ].map(([where, title]) => ({
+        id: where,
+        title,
+        run: (win, _entry, path) => {
+            const chosen = /** @type {Palette.Entry & {url?: string}} */ (path[path.length - 1])
+            win.URILoadingHelper.openTrustedLinkIn(win, chosen.url ?? chosen.title, where)
+        },
+    })),
+}
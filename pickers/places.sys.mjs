@@ -0,0 +1,242 @@
+/**
+ * History and bookmarks pickers, queried from Places as you type.
+ *
+ * Each plain word of the query must appear in the page's url or title (or, for
+ * bookmarks, its tags); the palette's own matching then ranks what the database
+ * returned, so operators such as `!foo` or `a | b` still apply, but a fuzzy
+ * abbreviation only finds pages containing it as written.
+ */
+
+/** @import { Palette } from './lib.sys.mjs' */
+import { PlacesUtils } from 'resource://gre/modules/PlacesUtils.sys.mjs'
+
+import { appendPreviewLine } from './format.sys.mjs'
+import { parseQuery } from './fuzzy.sys.mjs'
+import { QUERY_FIELDS } from './lib.sys.mjs'
+import { openWhereStage } from './openWhere.sys.mjs'
+
+/** rows fetched per query; the palette ranks within these */
+const RESULT_LIMIT = 200
+
+/** @typedef {Palette.Entry & {url: string, lastVisit: Date|null, visitCount: number}} HistoryEntry */
+/** @typedef {Palette.Entry & {url: string, guid: string, folderPath: string, tags: string[]}} BookmarkEntry */
+
+/**
+ * Words every result must contain: the terms that are neither negated nor one of several alternatives.
+ * @param {string} query
+ * @returns {string[]}
+ */
+function requiredWords(query) {
+    return parseQuery(query, QUERY_FIELDS)
+        .filter((group) => group.length === 1 && !group[0].negate && group[0].field !== 'id')
+        .map((group) => group[0].text)
+        .filter(Boolean)
+}
+
+/**
+ * SQL requiring each word in at least one of `columns`, with its parameters.
+ * @param {mozIStorageConnection} conn
+ * @param {string[]} words
+ * @param {string[]} columns
+ * @returns {{sql: string, params: Object<string, string>}}
+ */
+function likeAll(conn, words, columns) {
+    /** @type {Object<string, string>} */
+    const params = {}
+    const clauses = words.map((word, i) => {
+        params[`w${i}`] = `%${conn.escapeStringForLIKE(word, '/')}%`
+        return `(${columns.map((column) => `${column} LIKE :w${i} ESCAPE '/'`).join(' OR ')})`
+    })
+    return { sql: clauses.length > 0 ? clauses.join(' AND ') : '1', params }
+}
+
+/**
+ * Visited pages matching the query, by frecency.
+ * @type {Palette.PopulateFunc}
+ * @returns {Promise<HistoryEntry[]>}
+ */
+async function historyPopulateFunc(_p, { query = '', signal } = {}) {
+    const conn = await PlacesUtils.promiseDBConnection()
+    const where = likeAll(conn, requiredWords(query), ['h.url', 'h.title'])
+    const rows = await conn.execute(
+        `SELECT h.url, h.title, h.visit_count, h.last_visit_date
+         FROM moz_places h
+         WHERE h.hidden = 0 AND h.visit_count > 0 AND ${where.sql}
+         ORDER BY h.frecency DESC
+         LIMIT :limit`,
+        { ...where.params, limit: RESULT_LIMIT },
+    )
+    if (signal?.aborted) return []
+    return rows.map((row) => {
+        const url = row.getResultByName('url')
+        const lastVisit = row.getResultByName('last_visit_date')
+        return {
+            id: url,
+            title: row.getResultByName('title') || url,
+            subtitle: url,
+            url,
+            visitCount: row.getResultByName('visit_count'),
+            lastVisit: lastVisit ? PlacesUtils.toDate(lastVisit) : null,
+            run: (win) => win.URILoadingHelper.openTrustedLinkIn(win, url, 'current'),
+            next: () => openWhereStage,
+        }
+    })
+}
+
+/** @type {Palette.PreviewFunc} */
+function historyPreview(entry, container) {
+    const { title, url, visitCount, lastVisit } = /** @type {HistoryEntry} */ (entry)
+    appendPreviewLine(container, title, 'cp-preview-title')
+    appendPreviewLine(container, url)
+    appendPreviewLine(container, `${visitCount} visits${lastVisit ? `, last on ${lastVisit.toLocaleString()}` : ''}`)
+}
+
+/**
+ * Names of the top-level folders, whose own titles are empty.
+ * @returns {Object<string, string>} folder guid → name
+ */
+function rootFolderNames() {
+    const { menuGuid, toolbarGuid, unfiledGuid, mobileGuid } = PlacesUtils.bookmarks
+    return { [menuGuid]: 'Bookmarks Menu', [toolbarGuid]: 'Bookmarks Toolbar', [unfiledGuid]: 'Other Bookmarks', [mobileGuid]: 'Mobile Bookmarks' }
+}
+
+/**
+ * @param {mozIStorageConnection} conn
+ * @returns {Promise<(folderId: number) => string>} e.g. `"Bookmarks Toolbar › Work"`
+ */
+async function folderPaths(conn) {
+    const rows = await conn.execute('SELECT id, parent, guid, title FROM moz_bookmarks WHERE type = :folder', {
+        folder: PlacesUtils.bookmarks.TYPE_FOLDER,
+    })
+    const rootNames = rootFolderNames()
+    /** @type {Map<number, {parent: number, name: string|null}>} */
+    const folders = new Map(
+        rows.map((row) => {
+            const guid = row.getResultByName('guid')
+            // the root folder (guid `root________`) is left out of paths
+            const name = guid === PlacesUtils.bookmarks.rootGuid ? null : (rootNames[guid] ?? row.getResultByName('title') ?? '')
+            return [row.getResultByName('id'), { parent: row.getResultByName('parent'), name }]
+        }),
+    )
+    return (folderId) => {
+        const names = []
+        for (let folder = folders.get(folderId); folder && names.length < 64; folder = folders.get(folder.parent)) {
+            if (folder.name !== null) names.unshift(folder.name)
+        }
+        return names.join(' › ')
+    }
+}
+
+/**
+ * Bookmarks whose title, url or tags match the query, most frecent pages first.
+ * Tags are `keywords`, so `kw:work` lists the bookmarks tagged "work".
+ * @type {Palette.PopulateFunc}
+ * @returns {Promise<BookmarkEntry[]>}
+ */
+async function bookmarksPopulateFunc(_p, { query = '', signal } = {}) {
+    const conn = await PlacesUtils.promiseDBConnection()
+    const where = likeAll(conn, requiredWords(query), ['b.title', 'h.url', 'tags'])
+    const [rows, pathOf] = await Promise.all([
+        conn.execute(
+            // tags are folders below the tags root holding a bookmark of each tagged url
+            `SELECT b.guid, b.title, b.parent, h.url,
+                    (SELECT GROUP_CONCAT(t.title, ',')
+                     FROM moz_bookmarks r JOIN moz_bookmarks t ON t.id = r.parent
+                     WHERE r.fk = h.id AND t.parent = tagsRoot.id) AS tags
+             FROM moz_bookmarks b
+             JOIN moz_places h ON h.id = b.fk
+             JOIN moz_bookmarks folder ON folder.id = b.parent
+             JOIN moz_bookmarks tagsRoot ON tagsRoot.guid = :tagsGuid
+             WHERE b.type = :bookmark AND folder.parent <> tagsRoot.id AND ${where.sql}
+             ORDER BY h.frecency DESC
+             LIMIT :limit`,
+            { ...where.params, tagsGuid: PlacesUtils.bookmarks.tagsGuid, bookmark: PlacesUtils.bookmarks.TYPE_BOOKMARK, limit: RESULT_LIMIT },
+        ),
+        folderPaths(conn),
+    ])
+    if (signal?.aborted) return []
+    return rows.map((row) => {
+        const url = row.getResultByName('url')
+        const guid = row.getResultByName('guid')
+        const tags = row.getResultByName('tags')?.split(',') ?? []
+        const folderPath = pathOf(row.getResultByName('parent'))
+        return {
+            id: guid,
+            title: row.getResultByName('title') || url,
+            subtitle: folderPath,
+            keywords: [url, ...tags],
+            url,
+            guid,
+            folderPath,
+            tags,
+            run: (win) => win.URILoadingHelper.openTrustedLinkIn(win, url, 'current'),
+            next: () => openWhereStage,
+        }
+    })
+}
+
+/** @type {Palette.PreviewFunc} */
+function bookmarkPreview(entry, container) {
+    const { title, url, folderPath, tags } = /** @type {BookmarkEntry} */ (entry)
+    appendPreviewLine(container, title, 'cp-preview-title')
+    appendPreviewLine(container, url)
+    appendPreviewLine(container, `in ${folderPath}`)
+    if (tags.length > 0) appendPreviewLine(container, `tags: ${tags.join(', ')}`)
+}
+
+/** @type {Palette.Action[]} */
+const historyActions = [
+    {
+        name: 'Delete from history',
+        key: 'ctrl+d',
+        run: async (win, entries, palette) => {
+            const selected = /** @type {HistoryEntry[]} */ (entries)
+            if (!Services.prompt.confirm(win, 'Delete from history', `Delete ${selected.length} pages from history?`)) return
+            await PlacesUtils.history.remove(selected.map((entry) => entry.url))
+            selected.forEach((entry) => palette.remove(entry))
+        },
+    },
+]
+
+/** @type {Palette.Action[]} */
+const bookmarkActions = [
+    {
+        name: 'Delete bookmark',
+        key: 'ctrl+d',
+        run: async (win, entries, palette) => {
+            const selected = /** @type {BookmarkEntry[]} */ (entries)
+            if (!Services.prompt.confirm(win, 'Delete bookmarks', `Delete ${selected.length} bookmarks?`)) return
+            await PlacesUtils.bookmarks.remove(selected.map((entry) => entry.guid))
+            selected.forEach((entry) => palette.remove(entry))
+        },
+    },
+]
+
+export const PlacesPickers = {
+    /** @type {Palette.Registration[]} */
+    RegisterPalettes: [
+        {
+            id: 'historyPicker',
+            populateFunc: historyPopulateFunc,
+            opts: {
+                title: 'History',
+                populateBehavior: ['OnQuery'],
+                frecency: false, // already ranked by Places' own frecency
+                actions: historyActions,
+                preview: historyPreview,
+                hotkey: { modifiers: 'alt shift', key: 'h' },
+            },
+        },
+        {
+            id: 'bookmarksPicker',
+            populateFunc: bookmarksPopulateFunc,
+            opts: {
+                title: 'Bookmarks',
+                populateBehavior: ['OnQuery'],
+                actions: bookmarkActions,
+                preview: bookmarkPreview,
+                hotkey: { modifiers: 'alt shift', key: 'b' },
+            },
+        },
+    ],
+}
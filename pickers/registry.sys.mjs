@@ -0,0 +1,296 @@
+/**
+ * Creates each registered palette in every browser window, current and future,
+ * and destroys it when its window closes or it is unregistered.
+ *
+ * ```js
+ * import { PaletteRegistry } from './pickers/registry.sys.mjs'
+ * PaletteRegistry.register({ id: 'myPicker', populateFunc, opts: { populateBehavior: ['OnShow'] } })
+ * // later, without restarting:
+ * PaletteRegistry.unregister('myPicker')
+ * ```
+ */
+
+import * as UC_API from 'chrome://userchromejs/content/uc_api.sys.mjs'
+import { EveryWindow } from 'resource:///modules/EveryWindow.sys.mjs'
+import { AppConstants } from 'resource://gre/modules/AppConstants.sys.mjs'
+import { ShortcutUtils } from 'resource://gre/modules/ShortcutUtils.sys.mjs'
+
+import { Palette } from './lib.sys.mjs'
+
+/** @type {Map<string, Palette.Registration>} by id, in registration order */
+const registrations = new Map()
+/** @type {WeakMap<Window, Map<string, Palette>>} */
+const palettesByWindow = new WeakMap()
+
+/** @type {Map<string, string[]>} browser shortcuts sharing a registration's hotkey, by registration id */
+const browserKeyConflicts = new Map()
+/** @type {Set<(id: string) => void>} see `PaletteRegistry.onChange` */
+const changeListeners = new Set()
+/** @type {WeakMap<Window, Map<string, Element[]>>} browser `<key>`s disabled by a palette's `suppressOriginal` hotkey, by palette id */
+const suppressedKeysByWindow = new WeakMap()
+
+/** @param {string} id */
+const callbackId = (id) => `pickers:${id}`
+/** @param {string} id */
+const hotkeyId = (id) => `key_${id}`
+
+/** @type {Object<string, string>} */
+const MODIFIER_ALIASES = {
+    accel: AppConstants.platform === 'macosx' ? 'meta' : 'control',
+    ctrl: 'control',
+    cmd: 'meta',
+    command: 'meta',
+    option: 'alt',
+}
+
+/**
+ * Canonical form of a chord, so `'shift alt'` + `'P'` and a `<key modifiers="alt,shift" key="p">` compare equal.
+ * @param {string|null} modifiers - space or comma separated
+ * @param {string|null} key
+ * @returns {string} e.g. `'alt+shift+p'`
+ */
+function chordOf(modifiers, key) {
+    const mods = (modifiers ?? '')
+        .toLowerCase()
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map((mod) => MODIFIER_ALIASES[mod] ?? mod)
+    return [...new Set(mods)]
+        .sort()
+        .concat((key ?? '').toLowerCase())
+        .join('+')
+}
+
+/**
+ * Other registrations whose hotkey is the same chord.
+ * @param {Palette.Registration} registration
+ * @returns {string[]} their ids
+ */
+function pickerConflicts(registration) {
+    const hotkey = registration.opts?.hotkey
+    if (!hotkey) return []
+    const chord = chordOf(hotkey.modifiers, hotkey.key)
+    return Array.from(registrations.values())
+        .filter((other) => other.id !== registration.id && other.opts?.hotkey)
+        .filter((other) => chordOf(other.opts?.hotkey?.modifiers ?? '', other.opts?.hotkey?.key ?? '') === chord)
+        .map((other) => other.id)
+}
+
+/**
+ * The window's `<key>` elements (other than our own) bound to a registration's hotkey.
+ * @param {Window} win
+ * @param {Palette.Registration} registration
+ * @returns {Element[]}
+ */
+function findBrowserKeys(win, registration) {
+    const hotkey = registration.opts?.hotkey
+    if (!hotkey || !win.document) return []
+    const chord = chordOf(hotkey.modifiers, hotkey.key)
+    const ownIds = new Set(Array.from(registrations.keys(), hotkeyId))
+    return Array.from(win.document.querySelectorAll('key[key]')).filter(
+        (key) => !ownIds.has(key.id) && chordOf(key.getAttribute('modifiers'), key.getAttribute('key')) === chord,
+    )
+}
+
+/**
+ * @param {Window} win
+ * @param {Palette.Registration} registration
+ * @returns {string[]} ids of the browser's `<key>`s bound to the registration's hotkey, or commands for keys without one
+ */
+function findBrowserKeyConflicts(win, registration) {
+    return findBrowserKeys(win, registration).map((key) => key.id || key.getAttribute('command') || key.getAttribute('oncommand') || '<key>')
+}
+
+/**
+ * @param {Window} win
+ * @param {Palette.Registration} registration
+ */
+function attachHotkey(win, registration) {
+    const { id, opts } = registration
+    const hotkey = opts?.hotkey
+    if (!hotkey) return
+    if (!browserKeyConflicts.has(id)) {
+        // the browser's shortcuts are the same in every window; check (and warn) once
+        const conflicts = findBrowserKeyConflicts(win, registration)
+        browserKeyConflicts.set(id, conflicts)
+        if (conflicts.length > 0) {
+            const effect = hotkey.suppressOriginal ? 'disables' : 'may be shadowed by'
+            console.warn(`Hotkey of palette '${id}' (${hotkey.modifiers} ${hotkey.key}) ${effect} browser shortcut: ${conflicts.join(', ')}`)
+        }
+    }
+    const enabledKeys = hotkey.suppressOriginal ? findBrowserKeys(win, registration).filter((key) => !key.hasAttribute('disabled')) : []
+    UC_API.Hotkeys.define({
+        modifiers: hotkey.modifiers,
+        key: hotkey.key,
+        id: hotkeyId(id),
+        command: () => {
+            // looked up on use: the palette may have been unregistered (or replaced) since
+            if (!win.document) return
+            PaletteRegistry.get(win, id)?.show(win.document)
+        },
+    }).attachToWindow(win, { suppressOriginal: hotkey.suppressOriginal ?? false })
+    // re-enabled once the hotkey is removed, see `detachHotkey`
+    const suppressed = enabledKeys.filter((key) => key.hasAttribute('disabled'))
+    if (suppressed.length === 0) return
+    if (!suppressedKeysByWindow.has(win)) suppressedKeysByWindow.set(win, new Map())
+    suppressedKeysByWindow.get(win)?.set(id, suppressed)
+}
+
+/**
+ * Remove a palette's hotkey from a window, giving back the browser shortcuts it suppressed.
+ * @param {Window} win
+ * @param {string} id
+ */
+function detachHotkey(win, id) {
+    win.document?.getElementById(hotkeyId(id))?.remove()
+    const suppressed = suppressedKeysByWindow.get(win)
+    suppressed?.get(id)?.forEach((key) => key.removeAttribute('disabled'))
+    suppressed?.delete(id)
+}
+
+/**
+ * @param {Window} win
+ * @param {Palette.Registration} registration
+ */
+function createPalette(win, registration) {
+    try {
+        const palette = new Palette(win, registration.id, registration.populateFunc, registration.opts ?? {})
+        palette.init(win)
+        if (!palettesByWindow.has(win)) palettesByWindow.set(win, new Map())
+        palettesByWindow.get(win)?.set(registration.id, palette)
+        attachHotkey(win, registration)
+    } catch (err) {
+        console.error(`Failed to create palette '${registration.id}'`, err)
+    }
+}
+
+/**
+ * @param {Window} win
+ * @param {string} id
+ */
+function destroyPalette(win, id) {
+    detachHotkey(win, id)
+    const palettes = palettesByWindow.get(win)
+    const palette = palettes?.get(id)
+    if (!palette) return
+    palettes?.delete(id)
+    try {
+        palette.destroy()
+    } catch (err) {
+        console.error(`Failed to destroy palette '${id}'`, err)
+    }
+}
+
+/** @param {string} id - the palette registered or unregistered */
+function notifyChange(id) {
+    changeListeners.forEach((listener) => {
+        try {
+            listener(id)
+        } catch (err) {
+            console.error('Palette registry listener failed', err)
+        }
+    })
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} `false` if nothing was registered under `id`.
+ */
+function removeRegistration(id) {
+    if (!registrations.delete(id)) return false
+    browserKeyConflicts.delete(id)
+    EveryWindow.unregisterCallback(callbackId(id)) // destroys the palette in each window
+    return true
+}
+
+export const PaletteRegistry = {
+    /**
+     * Create the palette in every browser window, now and whenever one opens.
+     * Registering an id again replaces the earlier registration.
+     * @param {Palette.Registration} registration
+     */
+    register(registration) {
+        removeRegistration(registration.id)
+        registrations.set(registration.id, registration)
+        const conflicts = pickerConflicts(registration)
+        if (conflicts.length > 0) {
+            const { modifiers, key } = registration.opts?.hotkey ?? {}
+            console.warn(`Hotkey of palette '${registration.id}' (${modifiers} ${key}) is also claimed by: ${conflicts.join(', ')}`)
+        }
+        EveryWindow.registerCallback(
+            callbackId(registration.id),
+            (/** @type {Window} */ win) => createPalette(win, registration),
+            (/** @type {Window} */ win) => destroyPalette(win, registration.id),
+        )
+        notifyChange(registration.id)
+    },
+
+    /**
+     * Destroy the palette in every window.
+     * @param {string} id
+     * @returns {boolean} `false` if nothing was registered under `id`.
+     */
+    unregister(id) {
+        if (!removeRegistration(id)) return false
+        notifyChange(id)
+        return true
+    },
+
+    /**
+     * Call `listener` with the id of each palette registered (or registered again) or unregistered.
+     * @param {(id: string) => void} listener
+     * @returns {() => void} removes the listener
+     */
+    onChange(listener) {
+        changeListeners.add(listener)
+        return () => changeListeners.delete(listener)
+    },
+
+    /**
+     * @param {string} id
+     * @returns {Palette.Registration|undefined}
+     */
+    getRegistration(id) {
+        return registrations.get(id)
+    },
+
+    /** @returns {Palette.Registration[]} in registration order */
+    getAll() {
+        return Array.from(registrations.values())
+    },
+
+    /**
+     * Describes what else claims a registration's hotkey, for display.
+     * @param {string} id
+     * @returns {string[]} e.g. `["palette 'openTabsPicker'", "browser shortcut 'key_reload'"]`
+     */
+    getHotkeyConflicts(id) {
+        const registration = registrations.get(id)
+        if (!registration) return []
+        return [
+            ...pickerConflicts(registration).map((other) => `palette '${other}'`),
+            ...(browserKeyConflicts.get(id) ?? []).map((key) => `browser shortcut '${key}'`),
+        ]
+    },
+
+    /**
+     * The formatted hotkey of a registered palette, e.g. "Alt+Shift+P".
+     * @param {Window} win
+     * @param {string} id
+     * @returns {string|null} `null` if it has none.
+     */
+    getHotkeyLabel(win, id) {
+        const key = win.document?.getElementById(hotkeyId(id))
+        return key ? ShortcutUtils.prettifyShortcut(key) : null
+    },
+
+    /**
+     * A window's instance of a registered palette.
+     * @param {Window} win
+     * @param {string} id
+     * @returns {Palette|undefined} `undefined` until the window has finished starting up.
+     */
+    get(win, id) {
+        return palettesByWindow.get(win)?.get(id)
+    },
+}
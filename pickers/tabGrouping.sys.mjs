@@ -0,0 +1,130 @@
+/**
+ * How the domain pickers group tabs: by host, by registrable domain (eTLD+1),
+ * container, window or url scheme. The mode is shared by every domain picker
+ * and switched at runtime with the `cycleTabGrouping` operation (Ctrl+G in those pickers).
+ */
+
+import * as UC_API from 'chrome://userchromejs/content/uc_api.sys.mjs'
+import { ContextualIdentityService } from 'resource://gre/modules/ContextualIdentityService.sys.mjs'
+
+import { Palette } from './lib.sys.mjs'
+
+/** @typedef {'host'|'baseDomain'|'container'|'window'|'scheme'} GroupingMode */
+
+/**
+ * @typedef {Object} TabGroup
+ * @property {string} key - identifies the group within its mode
+ * @property {string} label - e.g. `"mail.google.com"`, `"google.com"`, `"Work"`, `"Window 2"`, `"https"`
+ * @property {Mocked.BrowserTab[]} tabs - in window and tab order
+ */
+
+/**
+ * @typedef {Object} GroupingModeInfo
+ * @property {string} label - shown in the pickers' placeholder, e.g. `"host"`
+ * @property {(tab: Mocked.BrowserTab, windowIndex: number) => {key: string, label: string}} groupOf
+ */
+
+/**
+ * @param {nsIURI} uri
+ * @returns {string} the host, or e.g. `"about:"` for urls without one
+ */
+function hostOrScheme(uri) {
+    return uri.asciiHost || `${uri.scheme}:`
+}
+
+/** @type {Record<GroupingMode, GroupingModeInfo>} */
+export const GROUPING_MODES = {
+    host: {
+        label: 'host',
+        groupOf: (tab) => {
+            const host = hostOrScheme(tab.linkedBrowser.currentURI)
+            return { key: host, label: host }
+        },
+    },
+    baseDomain: {
+        label: 'domain',
+        groupOf: (tab) => {
+            const uri = tab.linkedBrowser.currentURI
+            let domain
+            try {
+                domain = Services.eTLD.getBaseDomain(uri)
+            } catch {
+                domain = hostOrScheme(uri) // IP addresses, `localhost`, `about:` pages, ...
+            }
+            return { key: domain, label: domain }
+        },
+    },
+    container: {
+        label: 'container',
+        groupOf: (tab) => {
+            const id = tab.userContextId
+            return { key: String(id), label: id ? ContextualIdentityService.getUserContextLabel(id) : 'No container' }
+        },
+    },
+    window: {
+        label: 'window',
+        groupOf: (_tab, windowIndex) => ({ key: String(windowIndex), label: `Window ${windowIndex + 1}` }),
+    },
+    scheme: {
+        label: 'scheme',
+        groupOf: (tab) => {
+            const { scheme } = tab.linkedBrowser.currentURI
+            return { key: scheme, label: scheme }
+        },
+    },
+}
+
+/** @type {GroupingMode} */
+let currentMode = 'host'
+
+/** @returns {GroupingMode} */
+export function getGroupingMode() {
+    return currentMode
+}
+
+/**
+ * @param {GroupingMode} mode
+ */
+export function setGroupingMode(mode) {
+    if (!(mode in GROUPING_MODES)) throw new Error(`unknown tab grouping '${mode}'`)
+    currentMode = mode
+}
+
+/**
+ * Group the tabs of every window.
+ * @param {GroupingMode} [mode] - defaults to the current mode
+ * @returns {TabGroup[]} in order of their first tab
+ */
+export function groupTabs(mode = currentMode) {
+    const { groupOf } = GROUPING_MODES[mode]
+    /** @type {Map<string, TabGroup>} */
+    const groups = new Map()
+    UC_API.Windows.getAll(true).forEach((win, windowIndex) => {
+        Array.from(win.gBrowser.tabs).forEach((tab) => {
+            if (tab.closing) return // still animating out
+            const { key, label } = groupOf(tab, windowIndex)
+            const group = groups.get(key) ?? { key, label, tabs: [] }
+            group.tabs.push(tab)
+            groups.set(key, group)
+        })
+    })
+    return [...groups.values()]
+}
+
+/**
+ * Placeholder of a picker of tab groups, naming the current mode.
+ * @returns {string}
+ */
+export function groupingPlaceholder() {
+    return `Tabs by ${GROUPING_MODES[currentMode].label}…`
+}
+
+Palette.operations.cycleTabGrouping = {
+    description: 'Group tabs by the next of host, domain, container, window or scheme',
+    run: (p) => {
+        if (p.stages.length > 0) return // a group's tabs are showing; regrouping would change the list underneath
+        const modes = /** @type {GroupingMode[]} */ (Object.keys(GROUPING_MODES))
+        setGroupingMode(modes[(modes.indexOf(currentMode) + 1) % modes.length])
+        p.refresh().catch((err) => console.error('Failed to regroup tabs', err))
+    },
+}
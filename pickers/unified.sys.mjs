@@ -0,0 +1,108 @@
+/**
+ * A palette searching several registered pickers at once.
+ *
+ * Every `Palette.Registration` with a `prefix` is a source: a query starting with
+ * that prefix (`>` commands, `@` open tabs, ...) searches only that picker, any
+ * other query searches all of them, with results grouped by source. The sources
+ * are fixed when the registration is made: make it again when they change.
+ */
+
+/** @import { Palette } from './lib.sys.mjs' */
+
+/**
+ * @param {string} id
+ * @param {Palette.Registration[]} registrations - Registrations without a `prefix` (and the unified palette itself) are ignored.
+ * @param {Palette.Options} [opts]
+ * @returns {Palette.Registration}
+ */
+export function unifiedRegistration(id, registrations, opts = {}) {
+    const sources = getSources(id, registrations)
+    return {
+        id,
+        populateFunc: (p, ctx) =>
+            populateFromSources(
+                p,
+                ctx,
+                sources.filter((reg) => isAllowedIn(reg, p.window)),
+            ),
+        opts: {
+            title: 'Everything',
+            placeholder: sources.map((reg) => `${reg.prefix} ${reg.opts?.title ?? reg.id}`).join('   '),
+            ...opts,
+            // each source keeps its own way of matching, e.g. the command palette's `fuzzy: false`
+            sources: sources.map((reg) => ({ id: reg.id, prefix: reg.prefix, label: reg.opts?.title ?? reg.id, fuzzy: reg.opts?.fuzzy })),
+            // sources are called on every show; caching their entries would go stale
+            populateBehavior: ['OnShow'],
+        },
+    }
+}
+
+/**
+ * @param {string} id
+ * @param {Palette.Registration[]} registrations
+ * @returns {Palette.Registration[]}
+ */
+function getSources(id, registrations) {
+    return registrations.filter((reg) => {
+        if (reg.id === id || !reg.prefix) return false
+        // queried sources have nothing to show until typed into; they need a palette of their own
+        return !reg.opts?.populateBehavior?.includes('OnQuery')
+    })
+}
+
+/**
+ * Whether a source's `hostAllowList` lets it show in a window.
+ * @param {Palette.Registration} reg
+ * @param {Window} win
+ * @returns {boolean}
+ */
+function isAllowedIn(reg, win) {
+    const host = win.gBrowser?.selectedTab.linkedBrowser.currentURI.host
+    return !reg.opts?.hostAllowList || reg.opts.hostAllowList.includes(host)
+}
+
+/**
+ * Streams one batch per source (or per batch of a streaming source), so slow
+ * sources don't hold back the others. A failing source is logged and skipped.
+ * @param {Palette} p
+ * @param {Palette.PopulateContext} ctx
+ * @param {Palette.Registration[]} sources
+ * @returns {AsyncGenerator<Palette.Entry[]>}
+ */
+async function* populateFromSources(p, ctx, sources) {
+    for (const reg of sources) {
+        if (ctx.signal.aborted) return
+        try {
+            const result = await reg.populateFunc(p, ctx)
+            if (result && typeof result[Symbol.asyncIterator] === 'function') {
+                for await (const batch of result) {
+                    if (ctx.signal.aborted) return
+                    yield fromSource(reg, Array.isArray(batch) ? batch : [batch])
+                }
+            } else {
+                yield fromSource(reg, result ?? [])
+            }
+        } catch (err) {
+            console.error(`unified palette: source '${reg.id}' failed`, err)
+        }
+    }
+}
+
+/**
+ * Tag entries with their source and carry over the source palette's per-entry options.
+ * Entries are updated in place, so a source's actions can still `palette.remove()` them.
+ * @param {Palette.Registration} reg
+ * @param {Palette.Entry[]} entries
+ * @returns {Palette.Entry[]}
+ */
+function fromSource(reg, entries) {
+    const { preview, actions = [], initialSortFunc } = reg.opts ?? {}
+    const sorted = typeof initialSortFunc === 'function' ? entries.slice().sort(initialSortFunc) : entries
+    return sorted.map((entry) =>
+        Object.assign(entry, {
+            source: reg.id,
+            preview: entry.preview ?? preview,
+            actions: [...(entry.actions ?? []), ...actions],
+        }),
+    )
+}
@@ -0,0 +1,111 @@
+/**
+ * Command palette entries declared in the config file's `userCommands`
+ * (see `UserCommand` in `config.sys.mjs`).
+ */
+
+/** @import { UserCommand } from './config.sys.mjs' */
+/** @import { Palette } from './lib.sys.mjs' */
+import { PaletteRegistry } from './registry.sys.mjs'
+
+/**
+ * @param {string} pref
+ * @param {boolean|number|string} value
+ */
+function setPref(pref, value) {
+    if (typeof value === 'boolean') Services.prefs.setBoolPref(pref, value)
+    else if (typeof value === 'number') Services.prefs.setIntPref(pref, value)
+    else Services.prefs.setStringPref(pref, value)
+}
+
+/**
+ * @param {string} pref - a boolean pref; one that isn't set counts as `false`
+ */
+function togglePref(pref) {
+    const type = Services.prefs.getPrefType(pref)
+    if (type !== Services.prefs.PREF_BOOL && type !== Services.prefs.PREF_INVALID) throw new Error(`'${pref}' is not a boolean pref`)
+    Services.prefs.setBoolPref(pref, !Services.prefs.getBoolPref(pref, false))
+}
+
+/**
+ * @param {Window} win
+ * @param {UserCommand} command
+ */
+function runUserCommand(win, command) {
+    const doc = win.document
+    switch (command.type) {
+        case 'openUrl':
+            win.URILoadingHelper.openTrustedLinkIn(win, command.url, command.where ?? 'tab')
+            break
+        case 'setPref':
+            setPref(command.pref, command.value)
+            break
+        case 'togglePref':
+            togglePref(command.pref)
+            break
+        case 'dispatchCommand':
+            command.commands.forEach((id) => {
+                const element = doc.getElementById(id)
+                // not every command has an element; e.g. `cmd_copy` is only known to the focused controller
+                if (element) element.doCommand()
+                else win.goDoCommand(id)
+            })
+            break
+        case 'runMenuItem': {
+            const item = doc.getElementById(command.menuitem)
+            if (!item) throw new Error(`no menu item '${command.menuitem}'`)
+            item.doCommand()
+            break
+        }
+        case 'openPicker': {
+            const palette = PaletteRegistry.get(win, command.palette)
+            if (!palette) throw new Error(`no palette '${command.palette}'`)
+            palette.show(doc)
+            break
+        }
+    }
+}
+
+/**
+ * @param {UserCommand} command
+ * @returns {string} e.g. `"browser.tabs.warnOnClose = false"`
+ */
+function describeUserCommand(command) {
+    switch (command.type) {
+        case 'openUrl':
+            return command.url
+        case 'setPref':
+            return `${command.pref} = ${JSON.stringify(command.value)}`
+        case 'togglePref':
+            return `toggle ${command.pref}`
+        case 'dispatchCommand':
+            return command.commands.join(' → ')
+        case 'runMenuItem':
+            return `menu item ${command.menuitem}`
+        case 'openPicker':
+            return `open ${command.palette}`
+    }
+}
+
+/**
+ * @param {string} id - the command's key in `userCommands`
+ * @param {UserCommand} command
+ * @returns {Palette.Entry}
+ */
+export function userCommandEntry(id, command) {
+    return {
+        id: `user:${id}`,
+        title: command.title,
+        subtitle: command.subtitle ?? describeUserCommand(command),
+        run: (win) => runUserCommand(win, command),
+        preview: (_entry, container) => {
+            const doc = container.ownerDocument
+            const title = doc.createElement('div')
+            title.className = 'cp-preview-title'
+            title.textContent = `${command.type} · user:${id}`
+            const settings = doc.createElement('div')
+            settings.className = 'cp-preview-text'
+            settings.textContent = JSON.stringify(command, null, 2)
+            container.append(title, settings)
+        },
+    }
+}